@@ -6,24 +6,69 @@
 //   SHEET_CSV_URL     (warscroll CSV - published Google Sheet CSV link)
 //   FACTION_CSV_URL   (faction CSV - published Google Sheet CSV link)
 //
+// Optional:
+//   MATCHUP_CSV_URL   (faction vs faction CSV: Faction, Opponent, Games, Wins, Draws)
+//   DATA_DIR          (local snapshot store, default ./data)
+//   HISTORY_MAX_SNAPSHOTS (how many dated snapshots /trend keeps per source, default 100)
+//   REFRESH_INTERVAL_MINUTES (background refresh schedule, default 60, 0 = off)
+//   REFRESH_MAX_BACKOFF_MINUTES (longest wait between retries of a failing source, default 720)
+//   STALE_AFTER_HOURS (footer flags data older than this as stale, default 48)
+//   SHRINK_PRIOR_GAMES (fallback prior strength for /impact ranking: adjusted, default 50)
+//   META_TIER_CUTOFFS (/meta tier cut-offs in pp around 50%, high to low, default "5,2,-2,-5")
+//   LIST_CONTEXT_PUBLIC (true = "Analyse this list" replies are visible to the channel, default false)
+//   LEAGUE_PLAYERS_CSV_URL (league sheet: Player, League, Lists, Rnd N Opponent, Games, W, D, L, Pts;
+//                     optional "Rnd N Result" columns (W/D/L) give /round and /h2h per-game results)
+//   LEAGUE_TIEBREAKERS (/standings tie-breakers after Pts, in order, default "wins,h2h,losses";
+//                     "h2h" is skipped unless the league sheet has "Rnd N Result" columns)
+//   LEAGUE_BATTLEPLANS_CSV_URL (League, Round, Battleplan rows; blank League = every league;
+//                     optional Opens / Deadline date columns drive round reminders)
+//   LEAGUE_REMINDERS  (true = message linked players when a round opens / before its deadline)
+//   LEAGUE_REMINDER_CHANNEL_ID (post reminders in this channel instead of DMs)
+//   LEAGUE_REMINDER_HOURS (how long before a round deadline to chase missing results, default 48)
+//   LEAGUE_REMINDER_INTERVAL_MINUTES (how often reminders are checked, default 30)
+//   LEAGUE_ORGANISER_ROLE_ID (role that may approve /report results, besides Administrators)
+//   LEAGUE_ADMIN_CHANNEL_ID (where approved results that clash with the sheet are flagged)
+//
 // Notes:
 // - Adds "soft-fail" fetching so Google 401s won't brick the bot if we already have cached data.
 // - Changes /impact to: Top 10 warscrolls whose Win% is ABOVE the faction's overall Win%.
 // - Adds /leastimpact: Top 10 warscrolls whose Win% is BELOW the faction's overall Win%.
 // - /refresh now reports what refreshed vs what stayed cached (instead of crashing).
+// - Last good CSV data is snapshotted to DATA_DIR and restored on startup, so a cold start
+//   during a Google outage still has something to serve.
+// - Each refresh that changes the data appends a dated snapshot to a history store for /trend.
+// - Background refresh on a schedule: byte-identical CSVs skip the parse, failing sources back off.
+// - Factions are grouped into grand alliances for /alliance; DATA_DIR/alliances.json
+//   ({ "Faction": "Alliance" }) overrides or extends the shipped mapping.
 
 import {
   Client,
   GatewayIntentBits,
   SlashCommandBuilder,
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
   PermissionFlagsBits,
   Events,
   EmbedBuilder,
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ApplicationCommandOptionType,
+  AttachmentBuilder,
+  embedLength,
 } from "discord.js";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
 
 const TOKEN = process.env.DISCORD_TOKEN;
 const SHEET_CSV_URL = process.env.SHEET_CSV_URL; // warscrolls
 const FACTION_CSV_URL = process.env.FACTION_CSV_URL; // factions
+const DATA_DIR = process.env.DATA_DIR || "./data";
 
 if (!TOKEN) throw new Error("Missing DISCORD_TOKEN env var");
 if (!SHEET_CSV_URL)
@@ -37,6 +82,31 @@ console.log("SHEET_CSV_URL =", SHEET_CSV_URL);
 console.log("FACTION_CSV_URL =", FACTION_CSV_URL);
 
 const MIN_GAMES = 5;
+const HISTORY_MAX_SNAPSHOTS = Number(process.env.HISTORY_MAX_SNAPSHOTS) || 100;
+
+const REFRESH_INTERVAL_MINUTES = (() => {
+  const raw = String(process.env.REFRESH_INTERVAL_MINUTES ?? "").trim();
+  if (!raw) return 60;
+  const n = Number(raw);
+  if (Number.isFinite(n) && n >= 0) return n;
+  console.warn(`⚠️ REFRESH_INTERVAL_MINUTES="${raw}" isn't a number of minutes; using 60.`);
+  return 60;
+})();
+const REFRESH_MAX_BACKOFF_MINUTES = Number(process.env.REFRESH_MAX_BACKOFF_MINUTES) || 720;
+const STALE_AFTER_HOURS = Number(process.env.STALE_AFTER_HOURS) || 48;
+const SHRINK_PRIOR_GAMES = Number(process.env.SHRINK_PRIOR_GAMES) || 50;
+const META_TIER_CUTOFFS = (() => {
+  const raw = process.env.META_TIER_CUTOFFS;
+  const cuts = String(raw || "")
+    .split(",")
+    .map((x) => toNum(x))
+    .filter((x) => Number.isFinite(x))
+    .sort((a, b) => b - a);
+  if (cuts.length) return cuts;
+  if (raw) console.warn(`⚠️ META_TIER_CUTOFFS="${raw}" has no usable numbers; using 5,2,-2,-5.`);
+  return [5, 2, -2, -5];
+})();
+const LIST_CONTEXT_PUBLIC = String(process.env.LIST_CONTEXT_PUBLIC || "").toLowerCase() === "true";
 
 import http from "http";
 
@@ -105,6 +175,8 @@ function parseCSV(text) {
 }
 
 // -------------------- Helpers --------------------
+// Fallback battleplans, used when neither the battleplan CSV nor a "Rnd N Battleplan"
+// column in the league sheet names one for a round
 const LEAGUE_BATTLEPLANS = [
   "Paths of the Fey",
   "The Liferoots",
@@ -131,12 +203,12 @@ function chunkText(text, max = 1024) {
   return chunks;
 }
 
-function chunkByLines(lines, maxLen = 1024) {
+function chunkByLines(lines, maxLen = 1024, separator = "\n\n") {
   const chunks = [];
   let cur = "";
 
   for (const line of lines) {
-    const add = (cur ? "\n\n" : "") + line;
+    const add = (cur ? separator : "") + line;
     if ((cur + add).length > maxLen) {
       if (cur) chunks.push(cur);
       // if a single line is too long, hard-split it
@@ -168,6 +240,73 @@ function fmtPct(x, decimals = 0) {
   return `${x.toFixed(decimals)}%`;
 }
 
+// Wilson score interval (95% by default) for a win rate given as a % over n games.
+// Returns { lo, hi } in %, or null when there's nothing to work with.
+function wilsonInterval(winPct, games, z = 1.96) {
+  if (!Number.isFinite(winPct) || !Number.isFinite(games) || games <= 0) return null;
+
+  const p = Math.min(Math.max(winPct / 100, 0), 1);
+  const z2 = z * z;
+  const denom = 1 + z2 / games;
+  const centre = (p + z2 / (2 * games)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / games + z2 / (4 * games * games))) / denom;
+
+  return {
+    lo: Math.max(centre - half, 0) * 100,
+    hi: Math.min(centre + half, 1) * 100,
+  };
+}
+
+// "(48–56%)", or "" if no interval can be computed
+function fmtCI(winPct, games) {
+  const ci = wilsonInterval(winPct, games);
+  if (!ci) return "";
+  return `(${Math.round(ci.lo)}–${Math.round(ci.hi)}%)`;
+}
+
+// "52.1% (48–56%)"
+function fmtPctCI(winPct, games, decimals = 1) {
+  const ci = fmtCI(winPct, games);
+  return ci ? `${fmtPct(winPct, decimals)} ${ci}` : fmtPct(winPct, decimals);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation, plenty for p-values)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly =
+    t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-proportion z-test on two win rates (%, games). Returns { z, p } or null.
+function twoProportionTest(win1, games1, win2, games2) {
+  if (![win1, games1, win2, games2].every((x) => Number.isFinite(x))) return null;
+  if (games1 <= 0 || games2 <= 0) return null;
+
+  const p1 = win1 / 100;
+  const p2 = win2 / 100;
+  const pooled = (p1 * games1 + p2 * games2) / (games1 + games2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / games1 + 1 / games2));
+  if (!(se > 0)) return null;
+
+  const z = (p1 - p2) / se;
+  return { z, p: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+function fmtP(p) {
+  if (!Number.isFinite(p)) return "—";
+  return p < 0.001 ? "p < 0.001" : `p = ${p.toFixed(p < 0.01 ? 3 : 2)}`;
+}
+
+// True when the win rate's interval still contains the baseline (i.e. the gap could be noise)
+function overlapsBaseline(winPct, games, baselinePct) {
+  const ci = wilsonInterval(winPct, games);
+  if (!ci || !Number.isFinite(baselinePct)) return false;
+  return baselinePct >= ci.lo && baselinePct <= ci.hi;
+}
+
 function fmtPP(x) {
   if (!Number.isFinite(x)) return "—";
   const sign = x > 0 ? "+" : "";
@@ -188,21 +327,68 @@ function nowStr(d = new Date()) {
   return d.toLocaleString("en-GB", { hour12: true });
 }
 
+function dateStr(d = new Date()) {
+  return d.toLocaleDateString("en-GB");
+}
+
 function makeBaseEmbed(title) {
   return new EmbedBuilder()
     .setTitle(title)
     .setFooter({ text: "Source: Woehammer GT Database" });
 }
 
+function isStale(cachedAt) {
+  if (!cachedAt) return false;
+  return Date.now() - cachedAt.getTime() > STALE_AFTER_HOURS * 60 * 60 * 1000;
+}
+
+function cachedStr(cachedAt) {
+  return `${nowStr(cachedAt)}${isStale(cachedAt) ? " ⚠️ stale" : ""}`;
+}
+
 function addCachedLine(embed, warscrollCachedAt, factionCachedAt) {
   const parts = [];
-  if (warscrollCachedAt) parts.push(`Warscrolls: ${nowStr(warscrollCachedAt)}`);
-  if (factionCachedAt) parts.push(`Factions: ${nowStr(factionCachedAt)}`);
+  if (warscrollCachedAt) parts.push(`Warscrolls: ${cachedStr(warscrollCachedAt)}`);
+  if (factionCachedAt) parts.push(`Factions: ${cachedStr(factionCachedAt)}`);
   const cached = parts.length ? parts.join(" • ") : "—";
   embed.setFooter({ text: `Source: Woehammer GT Database • Cached: ${cached}` });
   return embed;
 }
 
+// Discord rejects a message whose embeds add up to more than 6000 characters, so fields
+// that don't fit are moved onto "(cont.)" embeds, each sent as its own message. `extra`
+// fields go after the embed's own; there can be more of them than one embed holds.
+const EMBED_MAX_CHARS = 6000;
+const EMBED_MAX_FIELDS = 25;
+
+function splitEmbedFields(embed, extra = []) {
+  const data = embed.toJSON();
+  const contTitle = `${String(data.title ?? "").slice(0, 240)} (cont.)`;
+  const pages = [];
+  let page = new EmbedBuilder({ ...data, fields: [] });
+
+  for (const field of [...(data.fields ?? []), ...extra]) {
+    const fields = page.data.fields ?? [];
+    const tooLong = embedLength({ ...page.data, fields: [...fields, field] }) > EMBED_MAX_CHARS;
+    if (fields.length && (fields.length >= EMBED_MAX_FIELDS || tooLong)) {
+      pages.push(page);
+      page = new EmbedBuilder({ title: contTitle, color: data.color, footer: data.footer });
+    }
+    page.addFields(field);
+  }
+
+  pages.push(page);
+  return pages;
+}
+
+// First embed edits the deferred reply; any overflow goes out as follow-ups
+async function replyEmbedPages(interaction, embed, { ephemeral = false, fields = [] } = {}) {
+  const [first, ...rest] = splitEmbedFields(embed, fields);
+  const reply = await interaction.editReply({ embeds: [first] });
+  for (const more of rest) await interaction.followUp({ embeds: [more], ephemeral });
+  return reply;
+}
+
 function isAdmin(interaction) {
   return Boolean(
     interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)
@@ -213,8 +399,8 @@ function titleCaseMaybe(s) {
   return String(s ?? "").trim();
 }
 
-function fmtWinPair(withPct, withoutPct, decimals = 0) {
-  const w = fmtPct(withPct, decimals);
+function fmtWinPair(withPct, withoutPct, decimals = 0, games = NaN) {
+  const w = fmtPctCI(withPct, games, decimals);
   const wo = fmtPct(withoutPct, decimals);
   return `Win: ${w} | Win w/o: ${wo}`;
 }
@@ -226,12 +412,239 @@ let factionCache = [];
 let warscrollCachedAt = null;
 let factionCachedAt = null;
 
+// -------------------- Local snapshot store --------------------
+// Last successfully parsed CSV data is written to DATA_DIR so a restart during a
+// Google outage still starts with cached rows (and their real cachedAt).
+async function readJSON(name, fallback) {
+  try {
+    const text = await fs.readFile(path.join(DATA_DIR, name), "utf8");
+    return JSON.parse(text);
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.warn(`Failed to read ${name}:`, e?.message ?? e);
+    return fallback;
+  }
+}
+
+async function writeJSON(name, data) {
+  const file = path.join(DATA_DIR, name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  // write-then-rename so a crash mid-write never leaves a half-written file behind
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+async function saveSnapshot(key, { url, cachedAt, rows }) {
+  try {
+    await writeJSON(`snapshots/${key}.json`, {
+      url,
+      cachedAt: cachedAt.toISOString(),
+      hash: sourceStatus[key]?.hash ?? null,
+      rows,
+    });
+  } catch (e) {
+    console.warn(`Snapshot save failed (${key}):`, e?.message ?? e);
+  }
+}
+
+async function loadSnapshot(key, url) {
+  const snap = await readJSON(`snapshots/${key}.json`, null);
+  if (!snap || !Array.isArray(snap.rows) || !snap.rows.length) return null;
+
+  // Don't serve another sheet's data if the env var was pointed somewhere new
+  if (snap.url !== url) {
+    console.warn(`Snapshot ${key} is for a different source URL; ignoring.`);
+    return null;
+  }
+
+  const cachedAt = new Date(snap.cachedAt);
+  if (sourceStatus[key] && snap.hash) sourceStatus[key].hash = snap.hash;
+
+  return {
+    rows: snap.rows,
+    cachedAt: Number.isNaN(cachedAt.getTime()) ? null : cachedAt,
+  };
+}
+
+// Called once at startup, before the cache warm
+async function restoreSnapshots() {
+  if (SHEET_CSV_URL) {
+    const snap = await loadSnapshot("warscrolls", SHEET_CSV_URL);
+    if (snap) {
+      warscrollCache = snap.rows;
+      warscrollCachedAt = snap.cachedAt;
+      console.log(`Restored ${snap.rows.length} warscroll rows from snapshot.`);
+    }
+  }
+
+  if (FACTION_CSV_URL) {
+    const snap = await loadSnapshot("factions", FACTION_CSV_URL);
+    if (snap) {
+      factionCache = snap.rows;
+      factionCachedAt = snap.cachedAt;
+      console.log(`Restored ${snap.rows.length} faction rows from snapshot.`);
+    }
+  }
+
+  if (LEAGUE_PLAYERS_CSV_URL) {
+    const snap = await loadSnapshot("league-players", LEAGUE_PLAYERS_CSV_URL);
+    if (snap) {
+      leaguePlayersCache = snap.rows;
+      leaguePlayersCachedAt = snap.cachedAt;
+      console.log(`Restored ${snap.rows.length} league player rows from snapshot.`);
+    }
+  }
+
+  if (LEAGUE_BATTLEPLANS_CSV_URL) {
+    const snap = await loadSnapshot("league-battleplans", LEAGUE_BATTLEPLANS_CSV_URL);
+    if (snap) {
+      leagueBattleplansCache = snap.rows;
+      leagueBattleplansCachedAt = snap.cachedAt;
+      console.log(`Restored ${snap.rows.length} battleplan rows from snapshot.`);
+    }
+  }
+
+  if (MATCHUP_CSV_URL) {
+    const snap = await loadSnapshot("matchups", MATCHUP_CSV_URL);
+    if (snap) {
+      matchupCache = snap.rows;
+      matchupCachedAt = snap.cachedAt;
+      console.log(`Restored ${snap.rows.length} matchup rows from snapshot.`);
+    }
+  }
+}
+
+// -------------------- Source status (change detection + backoff) --------------------
+function makeSourceStatus() {
+  return {
+    hash: null, // sha1 of the last CSV text we parsed
+    changed: null, // did the last successful fetch change anything?
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    failures: 0, // consecutive failures
+    nextAttemptAt: null, // scheduled refreshes skip the source until then
+  };
+}
+
+const sourceStatus = {
+  warscrolls: makeSourceStatus(),
+  factions: makeSourceStatus(),
+  "league-players": makeSourceStatus(),
+  "league-battleplans": makeSourceStatus(),
+  matchups: makeSourceStatus(),
+};
+
+function hashText(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+function markRefreshOk(key, changed) {
+  const st = sourceStatus[key];
+  st.lastAttemptAt = new Date();
+  st.lastSuccessAt = st.lastAttemptAt;
+  st.lastError = null;
+  st.changed = changed;
+  st.failures = 0;
+  st.nextAttemptAt = null;
+}
+
+function markRefreshFailed(key, err) {
+  const st = sourceStatus[key];
+  st.lastAttemptAt = new Date();
+  st.lastError = String(err?.message ?? err);
+  st.failures += 1;
+
+  // Exponential backoff on the schedule: 1x, 2x, 4x... the interval, capped
+  const base = Math.max(REFRESH_INTERVAL_MINUTES, 1);
+  const waitMin = Math.min(base * 2 ** (st.failures - 1), REFRESH_MAX_BACKOFF_MINUTES);
+  st.nextAttemptAt = new Date(st.lastAttemptAt.getTime() + waitMin * 60 * 1000);
+}
+
+function isBackingOff(key) {
+  const next = sourceStatus[key].nextAttemptAt;
+  return Boolean(next && next.getTime() > Date.now());
+}
+
+// Fetch a source; rows is null when the CSV is byte-identical to the last parse.
+async function fetchSourceCSV(key, url, { cacheBust = false, hasCache = false } = {}) {
+  const text = await fetchCSVText(url, { cacheBust });
+  const hash = hashText(text);
+
+  if (hasCache && hash === sourceStatus[key].hash) return { rows: null, changed: false };
+
+  const rows = parseCSV(text);
+  sourceStatus[key].hash = hash;
+  return { rows, changed: true };
+}
+
+// -------------------- History archive (for /trend) --------------------
+// Only the columns /trend charts are kept, keyed by name, so the archive stays small.
+function factionHistoryRows(rows) {
+  const out = {};
+  for (const r of rows) {
+    const faction = String(factionName(r) ?? "").trim();
+    if (!faction) continue;
+    const formation = String(formationName(r) ?? "").trim() || "Overall";
+
+    out[`${faction}|${formation}`] = {
+      faction,
+      formation,
+      games: factionGames(r),
+      win: factionWinPct(r),
+      elo: factionAvgElo(r),
+      p50: perf(r, "Players Achieving 5 Wins"),
+      p41: perf(r, "Players Achieving 4 wins"),
+    };
+  }
+  return out;
+}
+
+function warscrollHistoryRows(rows) {
+  const out = {};
+  for (const r of rows) {
+    const name = String(warscrollName(r) ?? "").trim();
+    if (!name) continue;
+    const faction = String(warscrollFaction(r) ?? "").trim();
+
+    out[`${name}|${faction}`] = {
+      name,
+      faction,
+      games: warscrollGames(r),
+      used: warscrollUsedPct(r),
+      win: warscrollWinPct(r),
+    };
+  }
+  return out;
+}
+
+async function loadHistory(key) {
+  const list = await readJSON(`history/${key}.json`, []);
+  return Array.isArray(list) ? list : [];
+}
+
+async function appendHistory(key, at, rows) {
+  try {
+    const list = await loadHistory(key);
+
+    // A refresh that pulled the same numbers isn't a new data point
+    const last = list[list.length - 1];
+    if (last && JSON.stringify(last.rows) === JSON.stringify(rows)) return;
+
+    list.push({ at: at.toISOString(), rows });
+    await writeJSON(`history/${key}.json`, list.slice(-HISTORY_MAX_SNAPSHOTS));
+  } catch (e) {
+    console.warn(`History append failed (${key}):`, e?.message ?? e);
+  }
+}
+
 function withCacheBust(url) {
   const sep = url.includes("?") ? "&" : "?";
   return `${url}${sep}cb=${Date.now()}`;
 }
 
-async function fetchCSV(url, { cacheBust = false } = {}) {
+async function fetchCSVText(url, { cacheBust = false } = {}) {
   const finalUrl = cacheBust ? withCacheBust(url) : url;
 
   const res = await fetch(finalUrl, {
@@ -244,24 +657,55 @@ async function fetchCSV(url, { cacheBust = false } = {}) {
     throw err;
   }
 
-  const text = await res.text();
-  return parseCSV(text);
+  return res.text();
+}
+
+async function fetchCSV(url, { cacheBust = false } = {}) {
+  return parseCSV(await fetchCSVText(url, { cacheBust }));
 }
 
 async function loadWarscrolls(force = false) {
   if (!SHEET_CSV_URL) throw new Error("Missing SHEET_CSV_URL env var");
   if (!force && warscrollCache.length) return;
 
-  warscrollCache = await fetchCSV(SHEET_CSV_URL, { cacheBust: force });
+  const { rows, changed } = await fetchSourceCSV("warscrolls", SHEET_CSV_URL, {
+    cacheBust: force,
+    hasCache: warscrollCache.length > 0,
+  });
+  if (changed) warscrollCache = rows;
   warscrollCachedAt = new Date();
+
+  await saveSnapshot("warscrolls", {
+    url: SHEET_CSV_URL,
+    cachedAt: warscrollCachedAt,
+    rows: warscrollCache,
+  });
+  if (changed) {
+    await appendHistory("warscrolls", warscrollCachedAt, warscrollHistoryRows(warscrollCache));
+  }
+  return changed;
 }
 
 async function loadFactions(force = false) {
   if (!FACTION_CSV_URL) throw new Error("Missing FACTION_CSV_URL env var");
   if (!force && factionCache.length) return;
 
-  factionCache = await fetchCSV(FACTION_CSV_URL, { cacheBust: force });
+  const { rows, changed } = await fetchSourceCSV("factions", FACTION_CSV_URL, {
+    cacheBust: force,
+    hasCache: factionCache.length > 0,
+  });
+  if (changed) factionCache = rows;
   factionCachedAt = new Date();
+
+  await saveSnapshot("factions", {
+    url: FACTION_CSV_URL,
+    cachedAt: factionCachedAt,
+    rows: factionCache,
+  });
+  if (changed) {
+    await appendHistory("factions", factionCachedAt, factionHistoryRows(factionCache));
+  }
+  return changed;
 }
 
 // “Soft fail” wrappers: if fetch fails but cache exists, keep going.
@@ -284,43 +728,120 @@ async function ensureFactions() {
 }
 
 // refresh that doesn’t explode
-async function refreshAllSoft() {
+// scheduled: skip sources that are still backing off after repeated failures
+async function refreshAllSoft({ scheduled = false } = {}) {
   let warscrollOk = null;
   let factionOk = null;
   let leagueOk = null;
+  let battleplanOk = null;
 
-  if (SHEET_CSV_URL) {
+  if (SHEET_CSV_URL && !(scheduled && isBackingOff("warscrolls"))) {
     try {
-      await loadWarscrolls(true);
+      markRefreshOk("warscrolls", await loadWarscrolls(true));
       warscrollOk = true;
     } catch (e) {
       warscrollOk = false;
+      markRefreshFailed("warscrolls", e);
       console.warn("Warscroll refresh failed; keeping cache:", e?.message ?? e);
     }
   }
 
-  if (FACTION_CSV_URL) {
+  if (FACTION_CSV_URL && !(scheduled && isBackingOff("factions"))) {
     try {
-      await loadFactions(true);
+      markRefreshOk("factions", await loadFactions(true));
       factionOk = true;
     } catch (e) {
       factionOk = false;
+      markRefreshFailed("factions", e);
       console.warn("Faction refresh failed; keeping cache:", e?.message ?? e);
     }
   }
 
-  if (LEAGUE_PLAYERS_CSV_URL) {
+  if (LEAGUE_PLAYERS_CSV_URL && !(scheduled && isBackingOff("league-players"))) {
     try {
-      await loadLeaguePlayers(true);
+      markRefreshOk("league-players", await loadLeaguePlayers(true));
       leagueOk = true;
     } catch (e) {
       leagueOk = false;
+      markRefreshFailed("league-players", e);
       console.warn("League refresh failed; keeping cache:", e?.message ?? e);
     }
   }
 
-  return { warscrollOk, factionOk, leagueOk };
-                   }
+  if (leagueOk) {
+    try {
+      await flagReportConflicts();
+    } catch (e) {
+      console.warn("Report conflict check failed:", e?.message ?? e);
+    }
+  }
+
+  if (LEAGUE_BATTLEPLANS_CSV_URL && !(scheduled && isBackingOff("league-battleplans"))) {
+    try {
+      markRefreshOk("league-battleplans", await loadLeagueBattleplans(true));
+      battleplanOk = true;
+    } catch (e) {
+      battleplanOk = false;
+      markRefreshFailed("league-battleplans", e);
+      console.warn("Battleplan refresh failed; keeping cache:", e?.message ?? e);
+    }
+  }
+
+  let matchupOk = null;
+  if (MATCHUP_CSV_URL && !(scheduled && isBackingOff("matchups"))) {
+    try {
+      markRefreshOk("matchups", await loadMatchups(true));
+      matchupOk = true;
+    } catch (e) {
+      matchupOk = false;
+      markRefreshFailed("matchups", e);
+      console.warn("Matchup refresh failed; keeping cache:", e?.message ?? e);
+    }
+  }
+
+  return { warscrollOk, factionOk, leagueOk, battleplanOk, matchupOk };
+}
+
+// -------------------- Scheduled refresh --------------------
+let scheduledRefreshRunning = false;
+
+async function runScheduledRefresh() {
+  // A slow Google response shouldn't let ticks pile up on top of each other
+  if (scheduledRefreshRunning) return;
+  scheduledRefreshRunning = true;
+
+  try {
+    const result = await refreshAllSoft({ scheduled: true });
+    console.log("Scheduled refresh:", result);
+  } catch (e) {
+    console.warn("Scheduled refresh failed:", e?.message ?? e);
+  } finally {
+    scheduledRefreshRunning = false;
+  }
+}
+
+function startRefreshSchedule() {
+  if (!(REFRESH_INTERVAL_MINUTES > 0)) {
+    console.log("Scheduled refresh disabled (REFRESH_INTERVAL_MINUTES = 0).");
+    return;
+  }
+
+  setInterval(runScheduledRefresh, REFRESH_INTERVAL_MINUTES * 60 * 1000);
+  console.log(`✅ Scheduled refresh every ${REFRESH_INTERVAL_MINUTES} min.`);
+}
+
+// One line per source for /refresh: result of this run plus failure/backoff state
+function refreshStatusLine(label, key, ok, envName) {
+  if (ok === null) return `${label}: — (${envName} not set)`;
+
+  const st = sourceStatus[key];
+  if (ok) {
+    return `${label}: ✅ refreshed${st.changed === false ? " (no changes)" : ""}`;
+  }
+
+  const next = st.nextAttemptAt ? `, next scheduled try ${nowStr(st.nextAttemptAt)}` : "";
+  return `${label}: ⚠️ refresh failed (using cached) — ${st.failures} failure(s) in a row${next}`;
+}
 
 // -------------------- Column getters (tolerant to header changes) --------------------
 function getCol(row, candidates) {
@@ -443,9 +964,9 @@ function perf(row, key) {
 
 // -------------------- Faction baseline lookup (for /impact & /leastimpact) --------------------
 function findFactionOverallRowByInput(factionInput) {
-  const fq = norm(factionInput);
   const pool = factionCache.filter((r) => factionGames(r) >= MIN_GAMES);
-  const candidates = pool.filter((r) => norm(factionName(r)).includes(fq));
+  const isFaction = factionMatcher(factionInput, getAllFactions());
+  const candidates = pool.filter((r) => isFaction(factionName(r)));
 
   if (!candidates.length) return null;
 
@@ -463,6 +984,35 @@ function warscrollLiftVsFaction(row, factionOverallWin) {
   return w - factionOverallWin;
 }
 
+// Empirical-Bayes prior strength: how many "baseline games" to blend into each warscroll.
+// Estimated from how much the faction's warscroll win rates spread out beyond what
+// sampling noise alone would explain; falls back to SHRINK_PRIOR_GAMES with too few rows.
+function estimatePriorGames(rows, baseWin) {
+  const pts = rows
+    .map((r) => ({ p: warscrollWinPct(r) / 100, n: warscrollGames(r) }))
+    .filter((x) => Number.isFinite(x.p) && Number.isFinite(x.n) && x.n > 0);
+
+  const b = baseWin / 100;
+  if (pts.length < 3 || !(b > 0 && b < 1)) return SHRINK_PRIOR_GAMES;
+
+  const observedVar = pts.reduce((acc, x) => acc + (x.p - b) ** 2, 0) / pts.length;
+  const noiseVar = pts.reduce((acc, x) => acc + (b * (1 - b)) / x.n, 0) / pts.length;
+  const trueVar = observedVar - noiseVar;
+
+  // Nothing left after noise: everything is consistent with the baseline, shrink hard
+  if (!(trueVar > 0)) return 500;
+
+  return Math.min(Math.max((b * (1 - b)) / trueVar, 5), 500);
+}
+
+// Win % pulled toward the faction baseline in proportion to how few games back it
+function shrunkWinPct(row, baseWin, priorGames) {
+  const w = warscrollWinPct(row);
+  const n = warscrollGames(row);
+  if (!Number.isFinite(w) || !Number.isFinite(n) || !Number.isFinite(baseWin)) return NaN;
+  return (w * n + baseWin * priorGames) / (n + priorGames);
+}
+
 // -------------------- Bot summary blurb (paragraphs + plain English) --------------------
 function buildFactionBlurb(row) {
   const games = factionGames(row);
@@ -568,10 +1118,10 @@ function buildFactionBlurb(row) {
 
 // -------------------- Warscroll usage summary for a faction --------------------
 function topWarscrollsForFaction(factionQuery, limit = 3) {
-  const fq = norm(factionQuery);
+  const isFaction = factionMatcher(factionQuery, getWarscrollFactions());
   const rows = warscrollCache
     .filter((r) => warscrollGames(r) >= MIN_GAMES)
-    .filter((r) => norm(warscrollFaction(r)).includes(fq))
+    .filter((r) => isFaction(warscrollFaction(r)))
     .slice()
     .sort(
       (a, b) =>
@@ -595,148 +1145,2820 @@ function formatTopWarscrollsBlock(list) {
     return `**${i + 1}. ${w.name}** — Used **${fmtPct(
       w.used,
       0
-    )}**, Win ${fmtPct(w.win, 0)}, Impact ${fmtPP(w.impact)}`;
+    )}**, Win ${fmtPctCI(w.win, w.games, 0)}, Impact ${fmtPP(w.impact)}`;
   });
 
   return [`**Most-used warscrolls**`, ...lines].join("\n");
 }
-// ==================================================
-// LEAGUE MODULE (CSV -> /league)
-// PURPOSE: Show a player's list, fixtures, and results from a league CSV
-// ENV: LEAGUE_PLAYERS_CSV_URL
-// ==================================================
 
-const LEAGUE_PLAYERS_CSV_URL = process.env.LEAGUE_PLAYERS_CSV_URL;
+// -------------------- Trend helpers (history archive -> /trend) --------------------
+const TREND_METRICS = {
+  win: { label: "Win %", pick: (x) => x.win, fmt: (v) => fmtPct(v, 1), unit: "pp" },
+  games: { label: "Games", pick: (x) => x.games, fmt: fmtInt, unit: "", decimals: 0 },
+  elo: { label: "Average Elo", pick: (x) => x.elo, fmt: fmt1, unit: "" },
+  "5-0": { label: "5–0 rate", pick: (x) => x.p50, fmt: (v) => fmtPct(v, 1), unit: "pp" },
+  "4-1": { label: "4–1 rate", pick: (x) => x.p41, fmt: (v) => fmtPct(v, 1), unit: "pp" },
+  used: { label: "Used %", pick: (x) => x.used, fmt: (v) => fmtPct(v, 1), unit: "pp" },
+};
 
-let leaguePlayersCache = [];
-let leaguePlayersCachedAt = null;
+const FACTION_TREND_METRICS = ["win", "games", "elo", "5-0", "4-1"];
+const WARSCROLL_TREND_METRICS = ["used", "win", "games"];
 
-async function loadLeaguePlayers(force = false) {
-  if (!LEAGUE_PLAYERS_CSV_URL) throw new Error("Missing LEAGUE_PLAYERS_CSV_URL env var");
-  if (!force && leaguePlayersCache.length) return;
+function fmtDelta(x, unit = "", decimals = 1) {
+  if (!Number.isFinite(x)) return "—";
+  const sign = x > 0 ? "+" : "";
+  return `${sign}${x.toFixed(decimals)}${unit}`;
+}
 
-  leaguePlayersCache = await fetchCSV(LEAGUE_PLAYERS_CSV_URL, { cacheBust: force });
-  leaguePlayersCachedAt = new Date();
+function sparkline(values) {
+  const nums = values.filter((v) => Number.isFinite(v));
+  if (nums.length < 2) return "";
+
+  const bars = "▁▂▃▄▅▆▇█";
+  const lo = Math.min(...nums);
+  const hi = Math.max(...nums);
+
+  return values
+    .map((v) => {
+      if (!Number.isFinite(v)) return " ";
+      if (hi === lo) return bars[3];
+      return bars[Math.round(((v - lo) / (hi - lo)) * (bars.length - 1))];
+    })
+    .join("");
 }
 
-async function ensureLeaguePlayers() {
-  try {
-    await loadLeaguePlayers(false);
-  } catch (e) {
-    if (!leaguePlayersCache.length) throw e;
-    console.warn("League player fetch failed; using cached:", e?.message ?? e);
+// Pick one history key to follow, newest snapshot first, preferring an exact name match.
+// Locking onto a key stops a partial search drifting between rows from one snapshot to the next.
+function findHistoryKey(snapshots, match, exact) {
+  let first = null;
+  for (let i = snapshots.length - 1; i >= 0; i--) {
+    for (const [key, row] of Object.entries(snapshots[i].rows ?? {})) {
+      if (!match(row)) continue;
+      if (exact(row)) return key;
+      if (!first) first = key;
+    }
   }
+  return first;
 }
 
-function leagueCachedFooter(embed) {
-  const cached = leaguePlayersCachedAt ? nowStr(leaguePlayersCachedAt) : "—";
-  // Keep your existing footer format; just tack league cache info onto it
-  const base = embed.data?.footer?.text || "Source: Woehammer GT Database";
-  embed.setFooter({ text: `${base} • League: ${cached}` });
-  return embed;
+function historySeries(snapshots, key) {
+  return snapshots
+    .filter((snap) => snap.rows?.[key])
+    .map((snap) => ({ at: new Date(snap.at), row: snap.rows[key] }));
 }
 
-// ---------- League CSV column helpers ----------
-function lp(row, candidates) {
-  return getCol(row, candidates);
-}
+function trendSummary(series, metricKey) {
+  const metric = TREND_METRICS[metricKey];
+  const values = series.map(({ row }) => metric.pick(row));
 
-const lpPlayer = (r) => lp(r, ["Player", "player", "Name", "name"]);
-const lpLeague  = (r) => lp(r, ["League", "league"]);
-const lpList    = (r) => lp(r, ["Lists", "List", "lists", "list"]);
+  // Snapshots missing the column store null; compare the first and last real values
+  const firstIdx = values.findIndex((v) => Number.isFinite(v));
+  const lastIdx = values.findLastIndex((v) => Number.isFinite(v));
+  if (firstIdx === -1) return `**${metric.label}:** no data in the saved snapshots`;
 
-const lpOpponents = (r) => ([
-  lp(r, ["Rnd 1 Opponent", "Round 1 Opponent", "R1 Opponent"]),
-  lp(r, ["Rnd 2 Opponent", "Round 2 Opponent", "R2 Opponent"]),
-  lp(r, ["Rnd 3 Opponent", "Round 3 Opponent", "R3 Opponent"]),
-  lp(r, ["Rnd 4 Opponent", "Round 4 Opponent", "R4 Opponent"]),
-  lp(r, ["Rnd 5 Opponent", "Round 5 Opponent", "R5 Opponent"]),
-]);
+  const first = values[firstIdx];
+  const last = values[lastIdx];
 
-const lpGames = (r) => toNum(lp(r, ["Games", "games", "Played"]));
-const lpW     = (r) => toNum(lp(r, ["W", "w", "Wins"]));
-const lpD     = (r) => toNum(lp(r, ["D", "d", "Draws"]));
-const lpL     = (r) => toNum(lp(r, ["L", "l", "Losses"]));
-const lpPts   = (r) => toNum(lp(r, ["Pts", "pts", "Points"]));
+  const lines = [
+    `**${metric.label}:** ${metric.fmt(first)} → **${metric.fmt(last)}** (${fmtDelta(
+      last - first,
+      metric.unit,
+      metric.decimals
+    )}) since ${dateStr(series[firstIdx].at)}`,
+  ];
 
-function safeFilename(s) {
-  return norm(s).replace(/[^\w\-]+/g, "-").replace(/\-+/g, "-").replace(/^\-|\-$/g, "");
+  const spark = sparkline(values);
+  if (spark) lines.push(`\`${spark}\``);
+
+  return lines.join("\n");
 }
-// -------------------- Discovery + Autocomplete helpers --------------------
-//
-// Goal:
-// - As the user types, Discord suggests factions, formations, and warscrolls.
-// - Discovery commands can list factions/formations/etc without needing exact spelling.
-//
-// Notes:
-// - Autocomplete requires option.setAutocomplete(true) in your SlashCommand definitions.
-// - This code only *provides suggestions*; it does not change your existing commands yet.
-function getLeaguePlayers() {
-  const names = leaguePlayersCache
-    .map((r) => lpPlayer(r))
-    .map((x) => String(x ?? "").trim());
-  return uniq(names);
-      }
+// -------------------- Meta tier list (/meta) --------------------
+const META_TIER_LABELS = ["S", "A", "B", "C", "D", "E", "F"];
 
-function uniq(arr) {
-  return [...new Set(arr.filter(Boolean))];
+// Tier index for a win rate: cut-offs are pp above/below 50%, highest first
+function metaTierIndex(winPct) {
+  const idx = META_TIER_CUTOFFS.findIndex((cut) => winPct >= 50 + cut);
+  return idx === -1 ? META_TIER_CUTOFFS.length : idx;
 }
 
-function startsOrIncludes(haystack, needle) {
-  const h = norm(haystack);
-  const n = norm(needle);
-  if (!n) return true;
-  // Prefer "starts with", then "includes"
-  return h.startsWith(n) || h.includes(n);
+function metaTierLabel(idx) {
+  return META_TIER_LABELS[idx] ?? `T${idx + 1}`;
 }
 
-function limitChoices(choices, max = 25) {
-  // Discord autocomplete max is 25
-  return choices.slice(0, max);
+function metaTierHeading(idx) {
+  const label = metaTierLabel(idx);
+  const upper = META_TIER_CUTOFFS[idx - 1];
+  const lower = META_TIER_CUTOFFS[idx];
+
+  let range;
+  if (lower === undefined) range = `< ${fmtPct(50 + upper, 0)}`;
+  else if (upper === undefined) range = `≥ ${fmtPct(50 + lower, 0)}`;
+  else range = `${fmtPct(50 + lower, 0)}–${fmtPct(50 + upper, 0)}`;
+
+  return `**${label} tier** (${range})`;
 }
 
-// Build faction name list from factionCache (best source for “canonical” names)
-function getAllFactions() {
-  const pool = factionCache.filter((r) => factionGames(r) >= MIN_GAMES);
-  const names = pool.map((r) => factionName(r)).map((x) => String(x ?? "").trim());
-  return uniq(names);
+// sort key -> value to rank by (higher first)
+const META_SORTS = {
+  win: { label: "win rate", value: (r) => factionWinPct(r) },
+  games: { label: "games", value: (r) => factionGames(r) },
+  elo: { label: "average Elo", value: (r) => factionAvgElo(r) },
+  gap: { label: "Elo gap", value: (r) => factionEloGap(r) },
+  "5-0": { label: "5–0 rate", value: (r) => perf(r, "Players Achieving 5 Wins") },
+};
+
+// Overall rows (one per faction), or every battle formation row
+function metaRows({ formations = false, minGames = MIN_GAMES } = {}) {
+  return factionCache
+    .filter((r) => factionGames(r) >= minGames)
+    .filter((r) => Number.isFinite(factionWinPct(r)))
+    .filter((r) => (norm(formationName(r)) === "overall") !== formations);
 }
 
-// Build formation list for a given faction input (from factionCache)
-function getFormationsForFaction(factionInput) {
-  const fq = norm(factionInput);
-  const pool = factionCache.filter((r) => factionGames(r) >= MIN_GAMES);
-  const rows = pool.filter((r) => norm(factionName(r)).includes(fq));
-  const forms = rows.map((r) => formationName(r)).map((x) => String(x ?? "").trim());
-  return uniq(forms);
+function metaLine(r, rank, { formations, totalGames, showTier = false }) {
+  const name = formations
+    ? `${formationName(r)} (${factionName(r)})`
+    : factionName(r) || "Unknown";
+
+  const games = factionGames(r);
+  const win = factionWinPct(r);
+  const shareCol = factionGamesShare(r);
+  const share = Number.isFinite(shareCol) ? shareCol : (games / totalGames) * 100;
+  const marker = overlapsBaseline(win, games, 50) ? " †" : "";
+  const tier = showTier ? ` [${metaTierLabel(metaTierIndex(win))}]` : "";
+
+  return `${rank}. **${name}**${marker}${tier} — Win ${fmtPctCI(win, games, 1)} · Games ${fmtInt(
+    games
+  )} (${fmtPct(share, 1)}) · Elo ${fmt1(factionAvgElo(r))} · 5–0 ${fmtPct(
+    perf(r, "Players Achieving 5 Wins"),
+    1
+  )}`;
 }
 
-// Build warscroll list, optionally filtered by faction (from warscrollCache)
-function getWarscrolls({ factionInput = null } = {}) {
-  let rows = warscrollCache.filter((r) => warscrollGames(r) >= MIN_GAMES);
+// -------------------- Grand alliances (/alliance) --------------------
+// Faction -> grand alliance. DATA_DIR/alliances.json ({ "Faction": "Alliance" }) is merged
+// over these, so new or renamed factions can be mapped without a redeploy.
+const DEFAULT_GRAND_ALLIANCES = {
+  "Cities of Sigmar": "Order",
+  "Daughters of Khaine": "Order",
+  Fyreslayers: "Order",
+  "Idoneth Deepkin": "Order",
+  "Kharadron Overlords": "Order",
+  "Lumineth Realm-lords": "Order",
+  Seraphon: "Order",
+  "Stormcast Eternals": "Order",
+  Sylvaneth: "Order",
+  "Beasts of Chaos": "Chaos",
+  "Blades of Khorne": "Chaos",
+  "Disciples of Tzeentch": "Chaos",
+  "Hedonites of Slaanesh": "Chaos",
+  "Helsmiths of Hashut": "Chaos",
+  "Maggotkin of Nurgle": "Chaos",
+  Skaven: "Chaos",
+  "Slaves to Darkness": "Chaos",
+  "Flesh-eater Courts": "Death",
+  Nighthaunt: "Death",
+  "Ossiarch Bonereapers": "Death",
+  "Soulblight Gravelords": "Death",
+  Bonesplitterz: "Destruction",
+  "Gloomspite Gitz": "Destruction",
+  Ironjawz: "Destruction",
+  Kruleboyz: "Destruction",
+  "Ogor Mawtribes": "Destruction",
+  "Orruk Warclans": "Destruction",
+  "Sons of Behemat": "Destruction",
+};
+
+const UNALIGNED = "Unaligned";
+
+let grandAlliances = { ...DEFAULT_GRAND_ALLIANCES };
+let allianceIndex = new Map(); // normLoose(faction) -> alliance
+
+function indexAlliances() {
+  allianceIndex = new Map(
+    Object.entries(grandAlliances).map(([faction, alliance]) => [normLoose(faction), alliance])
+  );
+}
+indexAlliances();
 
-  if (factionInput) {
-    const fq = norm(factionInput);
-    rows = rows.filter((r) => norm(warscrollFaction(r)).includes(fq));
+// "order" or "ORDER " in alliances.json should land in the same bucket as "Order"
+function canonicalAlliance(name) {
+  const s = String(name ?? "").trim();
+  const known = uniq([...Object.values(DEFAULT_GRAND_ALLIANCES), UNALIGNED]);
+  return known.find((a) => normLoose(a) === normLoose(s)) ?? s;
+}
+
+async function loadAlliances() {
+  const saved = await readJSON("alliances.json", null);
+  if (!saved) return;
+
+  grandAlliances = { ...DEFAULT_GRAND_ALLIANCES };
+  for (const [faction, alliance] of Object.entries(saved)) {
+    if (String(alliance ?? "").trim()) grandAlliances[faction] = canonicalAlliance(alliance);
   }
+  indexAlliances();
+}
 
-  const names = rows.map((r) => warscrollName(r)).map((x) => String(x ?? "").trim());
-  return uniq(names);
+function allianceFor(faction) {
+  return allianceIndex.get(normLoose(faction)) ?? UNALIGNED;
 }
 
-// Return autocomplete choices: [{ name, value }]
-function makeChoices(list, typed) {
-  const out = list
-    .filter((x) => startsOrIncludes(x, typed))
-    .slice(0, 25)
-    .map((x) => ({
-      name: x.length > 100 ? x.slice(0, 97) + "..." : x,
-      value: x,
-    }));
-  return out;
+// Alliances with at least one faction in the sheet (or configured, before the sheet loads)
+function getAlliances() {
+  const names = factionCache.length
+    ? metaRows({ minGames: 0 }).map((r) => allianceFor(factionName(r)))
+    : Object.values(grandAlliances);
+  return uniq(names).sort((a, b) => a.localeCompare(b));
 }
 
-// -------------------- Discord client --------------------
+// Overall rows grouped by alliance: win % and Elo are weighted by games, share is summed
+function allianceTotals() {
+  const rows = metaRows({ minGames: 0 });
+  const totalGames = rows.reduce((acc, r) => acc + (factionGames(r) || 0), 0);
+
+  const byAlliance = new Map();
+  for (const r of rows) {
+    const alliance = allianceFor(factionName(r));
+    if (!byAlliance.has(alliance)) {
+      byAlliance.set(alliance, { alliance, rows: [], games: 0, wins: 0, share: 0, eloGames: 0, eloSum: 0 });
+    }
+    const t = byAlliance.get(alliance);
+    const games = factionGames(r) || 0;
+    const shareCol = factionGamesShare(r);
+    const elo = factionAvgElo(r);
+
+    t.rows.push(r);
+    t.games += games;
+    t.wins += (factionWinPct(r) / 100) * games;
+    t.share += Number.isFinite(shareCol) ? shareCol : totalGames ? (games / totalGames) * 100 : 0;
+    if (Number.isFinite(elo) && games) {
+      t.eloGames += games;
+      t.eloSum += elo * games;
+    }
+  }
+
+  const totals = [...byAlliance.values()].map((t) => ({
+    ...t,
+    win: t.games ? (t.wins / t.games) * 100 : NaN,
+    elo: t.eloGames ? t.eloSum / t.eloGames : NaN,
+  }));
+  return { totals, totalGames };
+}
+
+function allianceLine(t, rank) {
+  const marker = overlapsBaseline(t.win, t.games, 50) ? " †" : "";
+  return `${rank}. **${t.alliance}**${marker} — Win ${fmtPctCI(t.win, t.games, 1)} · Games ${fmtInt(
+    t.games
+  )} (${fmtPct(t.share, 1)}) · Elo ${fmt1(t.elo)} · ${t.rows.length} faction(s)`;
+}
+
+// -------------------- Compare helpers (/compare) --------------------
+const COMPARE_SLOTS = ["a", "b", "c", "d", "e"];
+
+const COMPARE_TYPES = {
+  warscroll: { label: "warscroll", aliasKind: "warscrolls", list: () => getWarscrolls() },
+  faction: { label: "faction", aliasKind: "factions", list: () => getAllFactions() },
+  formation: { label: "battle formation", aliasKind: null, list: () => getFormationLabels() },
+};
+
+// Resolved name -> { name, games, win, detail } for the chosen type
+function compareItem(type, name) {
+  if (type === "faction") {
+    const row = findFactionOverallRowByInput(name);
+    if (!row) return null;
+    return {
+      name: factionName(row) || name,
+      games: factionGames(row),
+      win: factionWinPct(row),
+      detail: `Overall · Avg Elo ${fmt1(factionAvgElo(row))}`,
+    };
+  }
+
+  if (type === "formation") {
+    const row = factionCache.find((r) => formationLabel(r) === name);
+    if (!row) return null;
+    return {
+      name: formationName(row) || name,
+      games: factionGames(row),
+      win: factionWinPct(row),
+      detail: `${factionName(row)} · Avg Elo ${fmt1(factionAvgElo(row))}`,
+    };
+  }
+
+  const row = warscrollCache
+    .filter((r) => warscrollGames(r) >= MIN_GAMES)
+    .find((r) => warscrollName(r).trim() === name);
+  if (!row) return null;
+  return {
+    name: warscrollName(row) || name,
+    games: warscrollGames(row),
+    win: warscrollWinPct(row),
+    detail: `${warscrollFaction(row) || "—"} · Used ${fmtPct(warscrollUsedPct(row), 0)} · Impact ${fmtPP(
+      warscrollImpactPP(row)
+    )}`,
+  };
+}
+
+// Monospace table: letter, name, games, win %, 95% range
+function compareTable(items) {
+  const nameWidth = Math.min(Math.max(...items.map((x) => x.name.length), 4), 24);
+  const cut = (s) => (s.length > nameWidth ? s.slice(0, nameWidth - 1) + "…" : s);
+
+  const header = `   ${"Name".padEnd(nameWidth)}  Games   Win %  95% range`;
+  const rows = items.map((x) => {
+    const ci = wilsonInterval(x.win, x.games);
+    const range = ci ? `${Math.round(ci.lo)}–${Math.round(ci.hi)}%` : "—";
+    return `${x.slot.toUpperCase()}  ${cut(x.name).padEnd(nameWidth)}  ${fmtInt(x.games).padStart(
+      5
+    )}  ${fmtPct(x.win, 1).padStart(6)}  ${range}`;
+  });
+
+  return ["```", header, ...rows, "```"].join("\n");
+}
+
+function comparePairLines(items) {
+  const lines = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i];
+      const b = items[j];
+      const test = twoProportionTest(a.win, a.games, b.win, b.games);
+      const pair = `**${a.slot.toUpperCase()} vs ${b.slot.toUpperCase()}** (${fmtPct(
+        a.win,
+        1
+      )} vs ${fmtPct(b.win, 1)})`;
+
+      if (!test) {
+        lines.push(`${pair}: can't test (missing games or win rate).`);
+      } else if (test.p < 0.05) {
+        const better = test.z > 0 ? a : b;
+        lines.push(
+          `${pair}: **meaningful difference** (${fmtP(test.p)}) — ${better.slot.toUpperCase()} really is winning more.`
+        );
+      } else {
+        lines.push(
+          `${pair}: not significant (${fmtP(test.p)}) — the gap could easily be luck at these sample sizes.`
+        );
+      }
+    }
+  }
+  return lines;
+}
+
+// -------------------- Army list parsing (/listcheck) --------------------
+//
+// Copes with the GW app export, ListBot-style "Allegiance:" headers and hand-typed lists:
+// units are lines with points ("Gore-gruntas (160)", "2x Brutes - 360pts") or bare lines
+// that clearly name a warscroll; bulleted/indented lines under a unit are its options.
+
+const LIST_BULLET_RE = /^\s*(?:[•●◦▪▫‣⁃∙·*+>\-–—]|\d+[.)])\s+/;
+const LIST_TOTAL_RE = /(\d{3,4})\s*\/\s*(\d{3,4})\s*(?:pts|points)?/i;
+const LIST_REGIMENT_RE =
+  /^(general'?s regiment|regiment\s*\d+|regiments? of renown|auxiliar(?:y|ies)(?: units?)?|leaders?|battleline|other|units|faction terrain|terrain|manifestations?)\b/i;
+const LIST_KEY_VALUE_RE =
+  /^(allegiance|army faction|faction|grand alliance|battle formation|formation|subfaction|spell lore|prayer lore|manifestation lore|battle tactics?|grand strateg(?:y|ies)|drops|general'?s handbook|battlepack|wounds|created with|app|data|version|total|points)\s*[:\-–]\s*(.*)$/i;
+const LIST_IGNORE_RE =
+  /^(created with|general'?s handbook|spell lore|prayer lore|manifestation lore|drops\b|app\b|data\b|battlepack|pitched battle|battle tactic|grand strateg|enhancements?\b|heroic traits?\b|artefacts?\b)/i;
+
+// Strip markdown, custom/unicode emoji and code fences; keep text only
+function cleanListLine(line) {
+  return String(line ?? "")
+    .replace(/<a?:\w+:\d+>/g, " ") // Discord custom emoji
+    .replace(/:[a-z0-9_+-]+:/gi, " ") // :shortcodes:
+    .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\uFE0F\u200D]/gu, " ")
+    .replace(/\*\*|__|`|~~/g, "")
+    .replace(/\u00A0/g, " ")
+    .trim();
+}
+
+// "2x Brutes (360)" -> { name: "Brutes", count: 2, points: 360 }; null if no points
+function parseUnitLine(text) {
+  let m = text.match(/^(.*?)\s*[(\[]\s*(\d+)\s*(?:pts?|points)?\s*[)\]]\s*$/i);
+  if (!m) m = text.match(/^(.*?)\s*[-–:]?\s*(\d+)\s*(?:pts?|points)\s*$/i);
+  if (!m) return null;
+
+  let name = m[1].trim();
+  let count = 1;
+  const countMatch = name.match(/^(\d+)\s*x\s+(.*)$/i) || name.match(/^(.*?)\s+x\s*(\d+)$/i);
+  if (countMatch) {
+    const [a, b] = [countMatch[1], countMatch[2]];
+    count = Number(/^\d+$/.test(a) ? a : b);
+    name = (/^\d+$/.test(a) ? b : a).trim();
+  }
+
+  if (!name) return null;
+  return { name, count, points: Number(m[2]) };
+}
+
+// Best candidate if it's a confident hit (exact / prefix), else null
+function confidentMatch(query, list, minScore = 90) {
+  const top = rankCandidates(query, list)[0];
+  return top && top.score >= minScore ? top.value : null;
+}
+
+function knownFactionNames() {
+  return uniq([...getAllFactions(), ...getWarscrollFactions()]);
+}
+
+function parseArmyList(text) {
+  const out = {
+    title: null,
+    faction: null,
+    formation: null,
+    points: NaN,
+    pointsLimit: NaN,
+    regiments: [],
+    unrecognised: [],
+  };
+
+  const factions = knownFactionNames();
+  const warscrollNames = uniq(warscrollCache.map((r) => String(warscrollName(r) ?? "").trim()));
+
+  let regiment = null;
+  let unit = null;
+
+  const startRegiment = (name) => {
+    regiment = { name, units: [] };
+    out.regiments.push(regiment);
+    unit = null;
+  };
+
+  const addUnit = (u) => {
+    if (!regiment) startRegiment("Units");
+    unit = { ...u, options: [] };
+    regiment.units.push(unit);
+  };
+
+  const setFaction = (value) => {
+    const fac = confidentMatch(withAlias("factions", value), factions, 75);
+    if (fac) out.faction = fac;
+    return Boolean(fac);
+  };
+
+  const setFormation = (value) => {
+    const forms = out.faction
+      ? getFormationsForFaction(out.faction).filter((f) => norm(f) !== "overall")
+      : [];
+    out.formation = confidentMatch(value, forms, 75) ?? value.trim();
+  };
+
+  for (const rawLine of String(text ?? "").split(/\r?\n/)) {
+    // Code fences (lists are often split across several blocks); a word straight after an
+    // opening fence on its own line is a language tag, as Discord treats it
+    const unfenced = rawLine.replace(/```(?:[a-z]+\s*$)?/gi, "");
+
+    const isOption = LIST_BULLET_RE.test(unfenced) || /^\s{2,}\S/.test(unfenced);
+    const line = cleanListLine(unfenced.replace(LIST_BULLET_RE, ""));
+    if (!line) continue;
+
+    // "Ironjawz list 1990/2000 pts"
+    const total = line.match(LIST_TOTAL_RE);
+    if (total) {
+      out.points = Number(total[1]);
+      out.pointsLimit = Number(total[2]);
+      const title = line.slice(0, total.index).replace(/[-–|:]\s*$/, "").trim();
+      if (title && !out.title) out.title = title;
+      continue;
+    }
+
+    const kv = line.match(LIST_KEY_VALUE_RE);
+    if (kv) {
+      const key = kv[1].toLowerCase();
+      const value = kv[2].trim();
+      if (["allegiance", "army faction", "faction"].includes(key) && value) setFaction(value);
+      else if (["battle formation", "formation", "subfaction"].includes(key) && value) {
+        setFormation(value);
+      } else if (["total", "points"].includes(key) && Number.isFinite(toNum(value))) {
+        out.points = toNum(value);
+      }
+      continue;
+    }
+
+    if (LIST_IGNORE_RE.test(line)) continue;
+
+    if (LIST_REGIMENT_RE.test(line) && !parseUnitLine(line)) {
+      startRegiment(line.replace(/[:\s]+$/, ""));
+      continue;
+    }
+
+    const parsedUnit = parseUnitLine(line);
+    if (parsedUnit) {
+      addUnit(parsedUnit);
+      continue;
+    }
+
+    // Bulleted line under a unit: weapon option, enhancement, "General", etc.
+    if (isOption && unit) {
+      unit.options.push(line);
+      continue;
+    }
+
+    // Bare lines: faction, then formation, then a clearly-named warscroll
+    // (the GW app puts both on one line: "Ironjawz | Ironfist")
+    const [facPart, formPart] = line.split(/\s+\|\s+/);
+    if (!out.faction && setFaction(facPart)) {
+      if (formPart) setFormation(formPart);
+      continue;
+    }
+
+    if (out.faction && !out.formation) {
+      const forms = getFormationsForFaction(out.faction).filter((f) => norm(f) !== "overall");
+      const form = confidentMatch(line, forms);
+      if (form) {
+        out.formation = form;
+        continue;
+      }
+    }
+
+    const ws = confidentMatch(withAlias("warscrolls", line), warscrollNames);
+    if (ws) {
+      addUnit({ name: line, count: 1, points: NaN });
+      continue;
+    }
+
+    if (!out.title && !out.regiments.length && !out.faction) {
+      out.title = line;
+      continue;
+    }
+
+    out.unrecognised.push(line);
+  }
+
+  return out;
+}
+
+// Resolve parsed units against warscrollCache (all rows, so small samples can be flagged)
+function analyseArmyList(parsed) {
+  let faction = parsed.faction;
+
+  const matchIn = (rows, unitName) => {
+    const names = uniq(rows.map((r) => String(warscrollName(r) ?? "").trim()));
+    const { match, candidates } = resolveName(withAlias("warscrolls", unitName), names);
+    const name = match ?? (candidates[0]?.score >= 75 ? candidates[0].value : null);
+    return name ? rows.find((r) => warscrollName(r).trim() === name) : null;
+  };
+
+  // No faction header: go with whichever faction most of the units belong to
+  if (!faction) {
+    const votes = new Map();
+    for (const reg of parsed.regiments) {
+      for (const u of reg.units) {
+        const row = matchIn(warscrollCache, u.name);
+        const fac = row ? warscrollFaction(row) : null;
+        if (fac) votes.set(fac, (votes.get(fac) ?? 0) + 1);
+      }
+    }
+    faction = [...votes.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+  }
+
+  const isFaction = faction ? factionMatcher(faction, getWarscrollFactions()) : () => true;
+  const pool = warscrollCache.filter((r) => isFaction(warscrollFaction(r)));
+
+  const overallRow = faction ? findFactionOverallRowByInput(faction) : null;
+  const baseWin = overallRow ? factionWinPct(overallRow) : NaN;
+
+  const regiments = parsed.regiments.map((reg) => ({
+    name: reg.name,
+    units: reg.units.map((u) => {
+      const row = matchIn(pool, u.name);
+      if (!row) return { ...u, row: null };
+
+      const games = warscrollGames(row);
+      const win = warscrollWinPct(row);
+      return {
+        ...u,
+        row,
+        canonical: warscrollName(row),
+        games,
+        used: warscrollUsedPct(row),
+        win,
+        lift: Number.isFinite(baseWin) ? win - baseWin : NaN,
+        lowSample: !(games >= MIN_GAMES),
+      };
+    }),
+  }));
+
+  return { ...parsed, faction, overallRow, baseWin, regiments };
+}
+
+function listUnitLine(u) {
+  const qty = u.count > 1 ? ` ×${u.count}` : "";
+  const pts = Number.isFinite(u.points) ? ` (${u.points})` : "";
+
+  if (!u.row) return `❓ **${u.name}**${qty}${pts} — not found in the warscroll data`;
+
+  const renamed = norm(u.canonical) !== norm(u.name) ? ` → ${u.canonical}` : "";
+  const flag = u.lowSample ? ` ⚠️ only ${fmtInt(u.games)} games (< ${MIN_GAMES})` : "";
+
+  return `**${u.name}**${renamed}${qty}${pts} — Used ${fmtPct(u.used, 0)} · Win ${fmtPctCI(
+    u.win,
+    u.games,
+    0
+  )} · ${fmtPP(u.lift)} vs faction${flag}`;
+}
+
+function listSummaryLines(analysis) {
+  const units = analysis.regiments.flatMap((r) => r.units);
+  const found = units.filter((u) => u.row);
+  const solid = found.filter((u) => !u.lowSample && Number.isFinite(u.lift));
+
+  const lines = [];
+  const header = [analysis.faction ?? "Faction not detected", analysis.formation]
+    .filter(Boolean)
+    .join(" — ");
+  lines.push(`**${header}**`);
+
+  if (Number.isFinite(analysis.points)) {
+    lines.push(
+      `Points: **${fmtInt(analysis.points)}**${
+        Number.isFinite(analysis.pointsLimit) ? ` / ${fmtInt(analysis.pointsLimit)}` : ""
+      }`
+    );
+  }
+
+  if (Number.isFinite(analysis.baseWin)) {
+    lines.push(`Faction baseline: **${fmtPct(analysis.baseWin, 1)}** win rate`);
+  }
+
+  lines.push(`Recognised **${found.length}/${units.length}** units.`);
+
+  if (solid.length) {
+    const avgLift = solid.reduce((acc, u) => acc + u.lift, 0) / solid.length;
+    const best = solid.slice().sort((a, b) => b.lift - a.lift)[0];
+    const worst = solid.slice().sort((a, b) => a.lift - b.lift)[0];
+
+    lines.push(`Average lift across units: **${fmtPP(avgLift)}** vs the faction.`);
+    if (solid.length > 1) {
+      lines.push(
+        `Best: ${best.canonical} (${fmtPP(best.lift)}) · Weakest: ${worst.canonical} (${fmtPP(
+          worst.lift
+        )})`
+      );
+    }
+  }
+
+  const low = found.filter((u) => u.lowSample).length;
+  if (low) lines.push(`⚠️ ${low} unit(s) have fewer than ${MIN_GAMES} games — treat their numbers as noise.`);
+
+  return lines;
+}
+
+// Summary embed plus one field per regiment chunk and unrecognised-line chunk; the fields
+// are returned separately because a long list needs more than one embed can hold
+function buildListCheckEmbed(text, title = "List check") {
+  const analysis = analyseArmyList(parseArmyList(text));
+  const units = analysis.regiments.flatMap((r) => r.units);
+
+  const embed = makeBaseEmbed(analysis.title ? `${title} — ${analysis.title}` : title);
+
+  if (!units.length) {
+    embed.setDescription(
+      "Couldn't find any units in that list. Units need points, e.g. `Gore-gruntas (160)`, or a name that matches a warscroll."
+    );
+  } else {
+    embed.setDescription(listSummaryLines(analysis).join("\n"));
+  }
+
+  const fields = [];
+  const addChunks = (name, chunks) =>
+    chunks.forEach((chunk, idx) => fields.push({ name: idx === 0 ? name : `${name} (cont.)`, value: chunk }));
+
+  for (const reg of analysis.regiments) {
+    if (reg.units.length) addChunks(reg.name, chunkByLines(reg.units.map(listUnitLine), 1024));
+  }
+
+  if (analysis.unrecognised.length) {
+    addChunks(
+      "Unrecognised lines",
+      chunkByLines(analysis.unrecognised.map((x) => `• ${x}`), 1024, "\n")
+    );
+  }
+
+  addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+  return { embed, fields };
+}
+
+// ---------- /listcheck modal ----------
+
+function showListCheckModal(interaction) {
+  const modal = new ModalBuilder()
+    .setCustomId("listcheck")
+    .setTitle("List check")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("list")
+          .setLabel("Army list (GW app export or similar)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(4000)
+          .setRequired(true)
+      )
+    );
+  return interaction.showModal(modal);
+}
+
+const LIST_CONTEXT_COMMAND = "Analyse this list";
+
+// Shared by the /listcheck modal and the message context menu
+async function replyListCheck(interaction, text, { ephemeral = false } = {}) {
+  await interaction.deferReply({ ephemeral });
+
+  try {
+    await ensureWarscrolls();
+    await ensureFactions();
+  } catch (e) {
+    console.warn("⚠️ /listcheck cache load failed:", e?.message ?? e);
+  }
+
+  if (!warscrollCache.length) {
+    return interaction.editReply("Warscroll data isn't available right now — try again after `/refresh`.");
+  }
+
+  const { embed, fields } = buildListCheckEmbed(text);
+  return replyEmbedPages(interaction, embed, { ephemeral, fields });
+}
+
+function handleListCheckSubmit(interaction) {
+  return replyListCheck(interaction, interaction.fields.getTextInputValue("list"));
+}
+
+// Lists posted by other bots tend to live in embeds rather than the message body
+function messageListText(message) {
+  const parts = [message?.content ?? ""];
+  for (const e of message?.embeds ?? []) {
+    parts.push(e.title ?? "", e.description ?? "");
+    for (const f of e.fields ?? []) parts.push(f.name ?? "", f.value ?? "");
+  }
+  return parts.filter(Boolean).join("\n");
+}
+
+async function handleListContextMenu(interaction) {
+  const text = messageListText(interaction.targetMessage);
+  if (!text.trim()) {
+    return interaction.reply({ content: "That message has no text to read a list from.", ephemeral: true });
+  }
+  return replyListCheck(interaction, text, { ephemeral: !LIST_CONTEXT_PUBLIC });
+}
+
+// -------------------- Matchups (optional CSV -> /matchup, /matchups) --------------------
+//
+// One row per pairing from the first faction's side. A pairing only listed one way round
+// is mirrored (wins <-> losses) so either order works.
+
+const MATCHUP_CSV_URL = process.env.MATCHUP_CSV_URL;
+
+let matchupCache = [];
+let matchupCachedAt = null;
+
+async function loadMatchups(force = false) {
+  if (!MATCHUP_CSV_URL) throw new Error("Missing MATCHUP_CSV_URL env var");
+  if (!force && matchupCache.length) return;
+
+  const { rows, changed } = await fetchSourceCSV("matchups", MATCHUP_CSV_URL, {
+    cacheBust: force,
+    hasCache: matchupCache.length > 0,
+  });
+  if (changed) matchupCache = rows;
+  matchupCachedAt = new Date();
+
+  await saveSnapshot("matchups", {
+    url: MATCHUP_CSV_URL,
+    cachedAt: matchupCachedAt,
+    rows: matchupCache,
+  });
+  return changed;
+}
+
+async function ensureMatchups() {
+  try {
+    await loadMatchups(false);
+  } catch (e) {
+    if (!matchupCache.length) throw e;
+    console.warn("Matchup fetch failed; using cached data:", e?.message ?? e);
+  }
+}
+
+const muFaction = (r) => String(getCol(r, ["Faction", "faction", "Faction A", "Army"]) ?? "").trim();
+const muOpponent = (r) =>
+  String(getCol(r, ["Opponent", "opponent", "Opponent Faction", "Vs", "vs", "Faction B"]) ?? "").trim();
+const muGames = (r) => toNum(getCol(r, ["Games", "games", "Played"]));
+const muWins = (r) => toNum(getCol(r, ["Wins", "wins", "W"]));
+const muDraws = (r) => toNum(getCol(r, ["Draws", "draws", "D"]));
+
+function getMatchupFactions() {
+  return uniq(matchupCache.flatMap((r) => [muFaction(r), muOpponent(r)]));
+}
+
+// { games, wins, draws, losses, winPct } for A against B, or null if never recorded
+function matchupStats(aName, bName) {
+  const direct = matchupCache.find(
+    (r) => norm(muFaction(r)) === norm(aName) && norm(muOpponent(r)) === norm(bName)
+  );
+  const mirrored = direct
+    ? null
+    : matchupCache.find(
+        (r) => norm(muFaction(r)) === norm(bName) && norm(muOpponent(r)) === norm(aName)
+      );
+  const row = direct ?? mirrored;
+  if (!row) return null;
+
+  const games = num0(muGames(row));
+  const draws = num0(muDraws(row));
+  const rowWins = num0(muWins(row));
+  const wins = direct ? rowWins : games - rowWins - draws;
+
+  return {
+    games,
+    wins,
+    draws,
+    losses: games - wins - draws,
+    winPct: games ? (wins / games) * 100 : NaN,
+  };
+}
+
+// Name as it appears in the matchup CSV for a faction picked from getAllFactions()
+function matchupFactionName(factionInput) {
+  const isFaction = factionMatcher(factionInput, getMatchupFactions());
+  return getMatchupFactions().find((x) => isFaction(x)) ?? null;
+}
+
+function matchupLine(opponent, st) {
+  return `**${opponent}** — ${fmtPctCI(st.winPct, st.games, 0)} · ${st.wins}W ${st.draws}D ${st.losses}L (${st.games} games)`;
+}
+
+function addMatchupCachedLine(embed) {
+  addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+  const cached = matchupCachedAt ? cachedStr(matchupCachedAt) : "—";
+  embed.setFooter({ text: `${embed.data?.footer?.text} • Matchups: ${cached}` });
+  return embed;
+}
+
+// ==================================================
+// LEAGUE MODULE (CSV -> /league)
+// PURPOSE: Show a player's list, fixtures, and results from a league CSV
+// ENV: LEAGUE_PLAYERS_CSV_URL, LEAGUE_TIEBREAKERS, LEAGUE_BATTLEPLANS_CSV_URL,
+//      LEAGUE_REMINDERS, LEAGUE_REMINDER_CHANNEL_ID, LEAGUE_REMINDER_HOURS,
+//      LEAGUE_REMINDER_INTERVAL_MINUTES, LEAGUE_ORGANISER_ROLE_ID, LEAGUE_ADMIN_CHANNEL_ID
+// ==================================================
+
+const LEAGUE_PLAYERS_CSV_URL = process.env.LEAGUE_PLAYERS_CSV_URL;
+const LEAGUE_BATTLEPLANS_CSV_URL = process.env.LEAGUE_BATTLEPLANS_CSV_URL;
+const LEAGUE_REMINDERS = String(process.env.LEAGUE_REMINDERS || "").toLowerCase() === "true";
+const LEAGUE_REMINDER_CHANNEL_ID = process.env.LEAGUE_REMINDER_CHANNEL_ID || null;
+const LEAGUE_REMINDER_HOURS = Number(process.env.LEAGUE_REMINDER_HOURS) || 48;
+const LEAGUE_REMINDER_INTERVAL_MINUTES = Number(process.env.LEAGUE_REMINDER_INTERVAL_MINUTES) || 30;
+const LEAGUE_ORGANISER_ROLE_ID = process.env.LEAGUE_ORGANISER_ROLE_ID || null;
+const LEAGUE_ADMIN_CHANNEL_ID = process.env.LEAGUE_ADMIN_CHANNEL_ID || null;
+
+// Standard W/D/L scoring; used for head-to-head mini tables
+const LEAGUE_RESULT_POINTS = { W: 3, D: 1, L: 0 };
+
+const LEAGUE_TIEBREAKER_LABELS = {
+  wins: "wins",
+  h2h: "head-to-head",
+  losses: "fewest losses",
+};
+
+const LEAGUE_TIEBREAKERS = String(process.env.LEAGUE_TIEBREAKERS || "wins,h2h,losses")
+  .split(",")
+  .map((x) => x.trim().toLowerCase())
+  .filter((x) => x in LEAGUE_TIEBREAKER_LABELS);
+
+let leaguePlayersCache = [];
+let leaguePlayersCachedAt = null;
+
+async function loadLeaguePlayers(force = false) {
+  if (!LEAGUE_PLAYERS_CSV_URL) throw new Error("Missing LEAGUE_PLAYERS_CSV_URL env var");
+  if (!force && leaguePlayersCache.length) return;
+
+  const { rows, changed } = await fetchSourceCSV("league-players", LEAGUE_PLAYERS_CSV_URL, {
+    cacheBust: force,
+    hasCache: leaguePlayersCache.length > 0,
+  });
+  if (changed) leaguePlayersCache = rows;
+  leaguePlayersCachedAt = new Date();
+
+  await saveSnapshot("league-players", {
+    url: LEAGUE_PLAYERS_CSV_URL,
+    cachedAt: leaguePlayersCachedAt,
+    rows: leaguePlayersCache,
+  });
+  return changed;
+}
+
+async function ensureLeaguePlayers() {
+  try {
+    await loadLeaguePlayers(false);
+  } catch (e) {
+    if (!leaguePlayersCache.length) throw e;
+    console.warn("League player fetch failed; using cached:", e?.message ?? e);
+  }
+}
+
+// ---------- Battleplan schedule (optional CSV) ----------
+let leagueBattleplansCache = [];
+let leagueBattleplansCachedAt = null;
+
+async function loadLeagueBattleplans(force = false) {
+  if (!LEAGUE_BATTLEPLANS_CSV_URL) throw new Error("Missing LEAGUE_BATTLEPLANS_CSV_URL env var");
+  if (!force && leagueBattleplansCache.length) return;
+
+  const { rows, changed } = await fetchSourceCSV("league-battleplans", LEAGUE_BATTLEPLANS_CSV_URL, {
+    cacheBust: force,
+    hasCache: leagueBattleplansCache.length > 0,
+  });
+  if (changed) leagueBattleplansCache = rows;
+  leagueBattleplansCachedAt = new Date();
+
+  await saveSnapshot("league-battleplans", {
+    url: LEAGUE_BATTLEPLANS_CSV_URL,
+    cachedAt: leagueBattleplansCachedAt,
+    rows: leagueBattleplansCache,
+  });
+  return changed;
+}
+
+// Battleplans are optional: without the CSV we just use the sheet columns / defaults
+async function ensureLeagueBattleplans() {
+  if (!LEAGUE_BATTLEPLANS_CSV_URL) return;
+  try {
+    await loadLeagueBattleplans(false);
+  } catch (e) {
+    console.warn("Battleplan fetch failed; using cached/defaults:", e?.message ?? e);
+  }
+}
+
+// Both league sources; commands that show fixtures call this instead of ensureLeaguePlayers
+async function ensureLeagueData() {
+  await ensureLeaguePlayers();
+  await ensureLeagueBattleplans();
+}
+
+const bpLeague = (r) => getCol(r, ["League", "league"]);
+const bpRound = (r) => toNum(getCol(r, ["Round", "round", "Rnd", "Round Number"]));
+const bpName = (r) => String(getCol(r, ["Battleplan", "battleplan", "Battle Plan", "Mission"]) ?? "").trim();
+const bpOpens = (r) => String(getCol(r, ["Opens", "opens", "Start", "Starts"]) ?? "").trim();
+const bpDeadline = (r) => String(getCol(r, ["Deadline", "deadline", "Due", "Ends"]) ?? "").trim();
+
+function scheduleRows(leagueName) {
+  return leagueBattleplansCache.filter(
+    (r) => !norm(bpLeague(r)) || (leagueName && norm(bpLeague(r)) === norm(leagueName))
+  );
+}
+
+// One schedule value for a round: battleplan CSV (league row beats a blank-league row),
+// then the "Rnd N <kind>" column in the league sheet. Empty string if neither has it.
+function leagueScheduleValue(leagueName, round, getter, kind) {
+  const rows = scheduleRows(leagueName).filter((r) => bpRound(r) === round && getter(r));
+  const fromCsv = rows.find((r) => norm(bpLeague(r))) ?? rows[0];
+  if (fromCsv) return getter(fromCsv);
+
+  for (const r of leagueRows(leagueName)) {
+    const v = String(lpRoundCol(r, round, kind) ?? "").trim();
+    if (v) return v;
+  }
+  return "";
+}
+
+function leagueBattleplan(leagueName, round) {
+  return (
+    leagueScheduleValue(leagueName, round, bpName, "Battleplan") ||
+    LEAGUE_BATTLEPLANS[round - 1] ||
+    "—"
+  );
+}
+
+// Sheets hand us "2026-11-02", "02/11/2026" (UK order) or "02/11/2026 18:00"
+function parseSheetDate(s) {
+  const text = String(s ?? "").trim();
+  if (!text) return null;
+
+  const uk = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  const d = uk
+    ? new Date(Number(uk[3]), Number(uk[2]) - 1, Number(uk[1]), Number(uk[4] ?? 23), Number(uk[5] ?? 59))
+    : new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59` : text);
+
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function leagueRoundOpens(leagueName, round) {
+  return parseSheetDate(leagueScheduleValue(leagueName, round, bpOpens, "Opens"));
+}
+
+function leagueRoundDeadline(leagueName, round) {
+  return parseSheetDate(leagueScheduleValue(leagueName, round, bpDeadline, "Deadline"));
+}
+
+function leagueCachedFooter(embed) {
+  const cached = leaguePlayersCachedAt ? cachedStr(leaguePlayersCachedAt) : "—";
+  // Keep your existing footer format; just tack league cache info onto it
+  const base = embed.data?.footer?.text || "Source: Woehammer GT Database";
+  embed.setFooter({ text: `${base} • League: ${cached}` });
+  return embed;
+}
+
+// Resolve the optional `league` option. Without one we use the caller's own league, or
+// the only league there is. Returns { value }, { picking } (picker shown) or { replied }.
+async function pickLeague(interaction, mine = null) {
+  const leagueInput = interaction.options.getString("league");
+  const leagues = getLeagueNames();
+
+  if (leagueInput) {
+    const leaguePick = await resolveOrPick(interaction, {
+      input: leagueInput,
+      list: leagues,
+      optionName: "league",
+      label: "league",
+    });
+    if (leaguePick.picking) return leaguePick;
+
+    if (!leaguePick.value) {
+      const embed = makeBaseEmbed("No results").setDescription(
+        `No league matches "${leagueInput}". Leagues: ${leagues.join(", ") || "—"}`
+      );
+      leagueCachedFooter(embed);
+      await interaction.editReply({ embeds: [embed] });
+      return { replied: true };
+    }
+    return { value: leaguePick.value };
+  }
+
+  if (leagues.length <= 1) return { value: leagues[0] ?? null };
+
+  const own = mine ? String(lpLeague(mine) ?? "").trim() : "";
+  if (own) return { value: own };
+
+  const embed = makeBaseEmbed("Which league?").setDescription(
+    `There are several leagues — pick one with \`league\`:\n${leagues
+      .map((x) => `• ${x}`)
+      .join("\n")}`
+  );
+  leagueCachedFooter(embed);
+  await interaction.editReply({ embeds: [embed] });
+  return { replied: true };
+}
+
+// ---------- Discord ↔ player links (/iam) ----------
+// userId -> { player, league, linkedBy, linkedAt }, persisted in DATA_DIR/player-links.json
+let playerLinks = {};
+
+async function loadPlayerLinks() {
+  playerLinks = (await readJSON("player-links.json", null)) ?? {};
+}
+
+async function savePlayerLinks() {
+  await writeJSON("player-links.json", playerLinks);
+}
+
+function linkMatchesRow(link, row) {
+  return (
+    normLoose(link.player) === normLoose(lpPlayer(row)) &&
+    norm(link.league ?? "") === norm(lpLeague(row) ?? "")
+  );
+}
+
+function linkedRow(userId) {
+  const link = userId ? playerLinks[userId] : null;
+  if (!link) return null;
+  return leaguePlayersCache.find((r) => linkMatchesRow(link, r)) ?? null;
+}
+
+function linkedUserId(row) {
+  if (!row) return null;
+  return Object.keys(playerLinks).find((id) => linkMatchesRow(playerLinks[id], row)) ?? null;
+}
+
+// "Bob" -> "Bob (<@123>)" when the opponent's row in that league is linked
+function playerWithMention(name, leagueName) {
+  const text = String(name ?? "").trim();
+  if (!text) return text;
+  const row = leagueRows(leagueName).find((r) => normLoose(lpPlayer(r)) === normLoose(text));
+  const id = linkedUserId(row);
+  return id ? `${text} (<@${id}>)` : text;
+}
+
+// ---------- League CSV column helpers ----------
+function lp(row, candidates) {
+  return getCol(row, candidates);
+}
+
+const lpPlayer = (r) => lp(r, ["Player", "player", "Name", "name"]);
+const lpLeague  = (r) => lp(r, ["League", "league"]);
+const lpList    = (r) => lp(r, ["Lists", "List", "lists", "list"]);
+
+// Per-round columns: "Rnd 3 Opponent", "Round 3 Result", "R3 Battleplan", ...
+const lpRoundCol = (r, n, kind) =>
+  lp(r, [`Rnd ${n} ${kind}`, `Round ${n} ${kind}`, `R${n} ${kind}`]);
+
+const ROUND_COL_RE = /^\s*(?:rnd|round|r)\s*(\d+)\s+(opponent|result|battleplan)\s*$/i;
+
+// Highest round the sheet has columns for, and whether any are per-round results
+// (re-read whenever the cache is replaced)
+let roundColumnsMemo = { rows: null, count: 0, results: false };
+
+function scanRoundColumns() {
+  if (roundColumnsMemo.rows !== leaguePlayersCache) {
+    let count = 0;
+    let results = false;
+    for (const key of Object.keys(leaguePlayersCache[0] ?? {})) {
+      const m = key.match(ROUND_COL_RE);
+      if (!m) continue;
+      count = Math.max(count, Number(m[1]));
+      if (m[2].toLowerCase() === "result") results = true;
+    }
+    roundColumnsMemo = { rows: leaguePlayersCache, count, results };
+  }
+  return roundColumnsMemo;
+}
+
+function leagueColumnRounds() {
+  return scanRoundColumns().count;
+}
+
+// Per-round results are optional: most sheets only carry opponents plus W/D/L/Pts totals
+function leagueHasResultColumns() {
+  return scanRoundColumns().results;
+}
+
+const lpOpponents = (r) =>
+  Array.from({ length: leagueColumnRounds() }, (_, i) => lpRoundCol(r, i + 1, "Opponent"));
+
+const lpResults = (r) =>
+  Array.from({ length: leagueColumnRounds() }, (_, i) => lpRoundCol(r, i + 1, "Result"));
+
+// Rounds a league actually runs: the last round anyone has an opponent for, or the
+// battleplan schedule if it goes further (pairings not published yet)
+function leagueRoundCount(leagueName) {
+  let count = 0;
+
+  for (const r of leagueRows(leagueName)) {
+    lpOpponents(r).forEach((o, i) => {
+      if (String(o ?? "").trim()) count = Math.max(count, i + 1);
+    });
+  }
+
+  for (const r of scheduleRows(leagueName)) {
+    if (bpName(r) && Number.isFinite(bpRound(r))) count = Math.max(count, bpRound(r));
+  }
+
+  return count || leagueColumnRounds() || LEAGUE_BATTLEPLANS.length;
+}
+
+// "Win" / "won" / "W 3-1" -> "W"; null when the cell is empty or unreadable
+function leagueResultCode(x) {
+  const s = norm(x);
+  if (/^(w|win|won)\b/.test(s)) return "W";
+  if (/^(d|draw|drew|tie)\b/.test(s)) return "D";
+  if (/^(l|loss|lost|lose)\b/.test(s)) return "L";
+  return null;
+}
+
+const lpGames = (r) => toNum(lp(r, ["Games", "games", "Played"]));
+const lpW     = (r) => toNum(lp(r, ["W", "w", "Wins"]));
+const lpD     = (r) => toNum(lp(r, ["D", "d", "Draws"]));
+const lpL     = (r) => toNum(lp(r, ["L", "l", "Losses"]));
+const lpPts   = (r) => toNum(lp(r, ["Pts", "pts", "Points"]));
+
+// Games a row has on record: the Games column, or W+D+L if that's further on
+function leagueGamesRecorded(row) {
+  const wdl = [lpW(row), lpD(row), lpL(row)].reduce((acc, x) => acc + (Number.isFinite(x) ? x : 0), 0);
+  return Math.max(Number.isFinite(lpGames(row)) ? lpGames(row) : 0, wdl);
+}
+
+// Games the sheet must hold before a player's round-n game can be in it: one per earlier
+// round with a real (non-bye) opponent, plus round n itself. Most sheets only carry
+// totals, so this is how we tell whether a round has been entered.
+function leagueGamesThrough(row, n) {
+  let needed = 1;
+  for (let i = 1; i < n; i++) {
+    const o = String(lpRoundCol(row, i, "Opponent") ?? "").trim();
+    if (o && !/^bye$/i.test(o)) needed += 1;
+  }
+  return needed;
+}
+
+// ---------- League army lists ----------
+// Structured view of a Lists cell via the /listcheck parser; null when nothing parses,
+// so the caller can fall back to the raw text.
+const LEAGUE_LIST_MAX_FIELDS = 8;
+
+function leagueListUnitLine(u) {
+  const qty = u.count > 1 ? ` ×${u.count}` : "";
+  const pts = Number.isFinite(u.points) ? ` (${u.points})` : "";
+  const stats = !u.row
+    ? "no data"
+    : `${fmtPct(u.win, 0)} win${u.lowSample ? ` ⚠️ ${fmtInt(u.games)} games` : ""}`;
+  const opts = u.options.length ? `\n  ↳ *${u.options.join(", ")}*` : "";
+  return `• **${u.name}**${qty}${pts} — ${stats}${opts}`;
+}
+
+function leagueListFields(listText) {
+  const analysis = analyseArmyList(parseArmyList(listText));
+  const regiments = analysis.regiments.filter((r) => r.units.length);
+  if (!regiments.length) return null;
+
+  const summary = [
+    [analysis.faction, analysis.formation].filter(Boolean).join(" — ") || "Faction not detected",
+  ];
+  if (Number.isFinite(analysis.points)) {
+    summary.push(
+      `${fmtInt(analysis.points)}${
+        Number.isFinite(analysis.pointsLimit) ? ` / ${fmtInt(analysis.pointsLimit)}` : ""
+      } pts`
+    );
+  }
+
+  const fields = [{ name: "Army List", value: summary.join(" · ") }];
+  for (const reg of regiments) {
+    chunkByLines(reg.units.map(leagueListUnitLine), 1024, "\n").forEach((chunk, idx) => {
+      fields.push({ name: idx === 0 ? reg.name : `${reg.name} (cont.)`, value: chunk });
+    });
+  }
+
+  if (fields.length > LEAGUE_LIST_MAX_FIELDS) {
+    const hidden = fields.length - (LEAGUE_LIST_MAX_FIELDS - 1);
+    fields.splice(LEAGUE_LIST_MAX_FIELDS - 1);
+    fields.push({ name: "Army List (truncated)", value: `${hidden} more section(s) not shown.` });
+  }
+
+  if (analysis.unrecognised.length) {
+    fields[0].value += `\n*${analysis.unrecognised.length} line(s) not recognised as units*`;
+  }
+
+  return fields;
+}
+
+// ---------- League standings ----------
+
+const num0 = (x) => (Number.isFinite(x) ? x : 0);
+
+function getLeagueNames() {
+  return uniq(leaguePlayersCache.map((r) => String(lpLeague(r) ?? "").trim()));
+}
+
+function leagueRows(leagueName) {
+  if (!leagueName) return leaguePlayersCache;
+  return leaguePlayersCache.filter((r) => norm(lpLeague(r)) === norm(leagueName));
+}
+
+// Highest round with a result (or the most games anyone has played)
+function leagueRoundsPlayed(rows) {
+  return Math.max(
+    0,
+    ...rows.map((r) =>
+      Math.max(num0(lpGames(r)), lpResults(r).filter((x) => leagueResultCode(x)).length)
+    )
+  );
+}
+
+// League row the Discord user has linked with /iam (null if none, or not in `rows`)
+function leagueRowForUser(user, rows = leaguePlayersCache) {
+  const row = linkedRow(user?.id);
+  return row && rows.includes(row) ? row : null;
+}
+
+// Points scored against the other players in `group` (a set of normLoose names)
+function headToHeadPoints(row, group) {
+  const opps = lpOpponents(row);
+  const results = lpResults(row);
+  let pts = 0;
+
+  opps.forEach((opp, i) => {
+    if (!group.has(normLoose(opp))) return;
+    const code = leagueResultCode(results[i]);
+    if (code) pts += LEAGUE_RESULT_POINTS[code];
+  });
+
+  return pts;
+}
+
+// Split `rows` into groups level on every key, best group first. Each tie-breaker only
+// looks at the group still tied after the ones before it, so head-to-head counts games
+// between exactly those players.
+function tiedGroups(rows, keys) {
+  if (!keys.length || rows.length < 2) return [rows];
+
+  const [key, ...rest] = keys;
+  const names = new Set(rows.map((r) => normLoose(lpPlayer(r))));
+  const value = (row) => {
+    if (key === "pts") return num0(lpPts(row));
+    if (key === "wins") return num0(lpW(row));
+    if (key === "h2h") return headToHeadPoints(row, names);
+    return -num0(lpL(row)); // fewest losses
+  };
+
+  const byValue = new Map();
+  for (const r of rows) {
+    const v = value(r);
+    if (!byValue.has(v)) byValue.set(v, []);
+    byValue.get(v).push(r);
+  }
+
+  return [...byValue.keys()]
+    .sort((a, b) => b - a)
+    .flatMap((v) => tiedGroups(byValue.get(v), rest));
+}
+
+// Sorted standings with shared ranks where every tie-breaker is level. Head-to-head needs
+// per-round results, so it's skipped when the sheet has none.
+function leagueStandings(rows, tiebreakers = LEAGUE_TIEBREAKERS) {
+  const entries = [];
+  const usable = tiebreakers.filter((tb) => tb !== "h2h" || leagueHasResultColumns());
+
+  for (const group of tiedGroups(rows, ["pts", ...usable])) {
+    const rank = entries.length + 1;
+    group
+      .slice()
+      .sort((a, b) => String(lpPlayer(a)).localeCompare(String(lpPlayer(b))))
+      .forEach((row) => entries.push({ row, rank, shared: group.length > 1 }));
+  }
+
+  return entries;
+}
+
+function standingsLine(entry, highlight) {
+  const r = entry.row;
+  const rank = `${entry.shared ? "=" : ""}${entry.rank}.`;
+  const record = `${fmtInt(num0(lpW(r)))}W ${fmtInt(num0(lpD(r)))}D ${fmtInt(num0(lpL(r)))}L`;
+  const line = `\`${rank.padStart(4)}\` **${lpPlayer(r)}** — **${fmtInt(num0(lpPts(r)))}** pts · ${record} (${fmtInt(
+    num0(lpGames(r))
+  )} played)`;
+  return highlight ? `➡️ ${line} ⬅️` : line;
+}
+
+// ---------- League rounds + head-to-head ----------
+
+const RESULT_OPPOSITE = { W: "L", D: "D", L: "W" };
+
+// Result of A's game against B in round n, from A's side, read from the optional
+// "Rnd N Result" columns. A row's cell only counts if that row's round-n opponent is the
+// other player; if both rows carry a result and they don't mirror each other, `conflict` is set.
+function pairingOutcome(aRow, bRow, n) {
+  const names = (row, other) => normLoose(lpRoundCol(row, n, "Opponent")) === normLoose(lpPlayer(other));
+  const a =
+    !bRow || names(aRow, bRow) ? leagueResultCode(lpRoundCol(aRow, n, "Result")) : null;
+  const b = bRow && names(bRow, aRow) ? leagueResultCode(lpRoundCol(bRow, n, "Result")) : null;
+
+  if (a && b && RESULT_OPPOSITE[a] !== b) return { code: null, conflict: { a, b } };
+  return { code: a ?? (b ? RESULT_OPPOSITE[b] : null), conflict: null };
+}
+
+function outcomeText(aName, bName, outcome) {
+  if (outcome.conflict) {
+    return `⚠️ results disagree (${aName}: ${outcome.conflict.a}, ${bName}: ${outcome.conflict.b})`;
+  }
+  if (outcome.code === "W") return `${aName} won`;
+  if (outcome.code === "L") return `${bName} won`;
+  if (outcome.code === "D") return "draw";
+  // Without per-round result columns the sheet can't tell us whether the game happened
+  return leagueHasResultColumns() ? "not played yet" : "result not in the sheet";
+}
+
+// Every pairing in round n, once each, plus byes and rows that don't agree
+function leagueRoundPairings(leagueName, n) {
+  const rows = leagueRows(leagueName).filter((r) => String(lpPlayer(r) ?? "").trim());
+  const byName = new Map(rows.map((r) => [normLoose(lpPlayer(r)), r]));
+
+  const pairings = [];
+  const byes = [];
+  const mismatches = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    const player = String(lpPlayer(row)).trim();
+    const opp = String(lpRoundCol(row, n, "Opponent") ?? "").trim();
+    if (!opp) continue;
+
+    if (/^bye$/i.test(opp)) {
+      byes.push(row);
+      continue;
+    }
+
+    const oppRow = byName.get(normLoose(opp)) ?? null;
+    if (!oppRow) {
+      mismatches.push(`${player} lists **${opp}**, who isn't a player in this league`);
+      pairings.push({ a: row, b: null, bName: opp, outcome: pairingOutcome(row, null, n) });
+      continue;
+    }
+
+    const key = [normLoose(player), normLoose(opp)].sort().join("|");
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const back = String(lpRoundCol(oppRow, n, "Opponent") ?? "").trim();
+    if (normLoose(back) !== normLoose(player)) {
+      mismatches.push(
+        `${player} lists **${lpPlayer(oppRow)}**, but ${lpPlayer(oppRow)} lists **${back || "nobody"}**`
+      );
+    }
+
+    pairings.push({
+      a: row,
+      b: oppRow,
+      bName: String(lpPlayer(oppRow)).trim(),
+      outcome: pairingOutcome(row, oppRow, n),
+    });
+  }
+
+  return { pairings, byes, mismatches };
+}
+
+// Rounds in which A's or B's row names the other
+function headToHeadMeetings(aRow, bRow) {
+  const aName = normLoose(lpPlayer(aRow));
+  const bName = normLoose(lpPlayer(bRow));
+  const rounds = Math.max(lpOpponents(aRow).length, lpOpponents(bRow).length);
+  const meetings = [];
+
+  for (let n = 1; n <= rounds; n++) {
+    const aOpp = normLoose(lpRoundCol(aRow, n, "Opponent"));
+    const bOpp = normLoose(lpRoundCol(bRow, n, "Opponent"));
+    if (aOpp !== bName && bOpp !== aName) continue;
+
+    meetings.push({
+      round: n,
+      oneSided: aOpp !== bName || bOpp !== aName,
+      outcome: pairingOutcome(aRow, bRow, n),
+    });
+  }
+
+  return meetings;
+}
+
+function leagueRecordText(row) {
+  return [
+    `League: **${String(lpLeague(row) ?? "").trim() || "—"}**`,
+    `Record: **${fmtInt(num0(lpW(row)))}W ${fmtInt(num0(lpD(row)))}D ${fmtInt(num0(lpL(row)))}L**`,
+    `Points: **${fmtInt(num0(lpPts(row)))}**`,
+  ].join("\n");
+}
+
+// ---------- Round reminders ----------
+// A round is open once it has pairings in the sheet and its Opens date (if any) has
+// passed. Linked players get one message when their latest round opens and one nudge
+// LEAGUE_REMINDER_HOURS before the deadline if neither row has a result yet.
+// The open message only goes out within LEAGUE_OPEN_REMINDER_HOURS of the round opening
+// (its Opens date, or when the bot first saw it open), so a restart with fresh state or a
+// player linking mid-round doesn't get a stale "round is open" message.
+// Sent state lives in DATA_DIR/reminders.json so restarts don't repeat messages.
+
+const LEAGUE_OPEN_REMINDER_HOURS = 24;
+
+let remindersSent = {};
+let leagueRemindersRunning = false;
+
+async function loadRemindersSent() {
+  remindersSent = (await readJSON("reminders.json", null)) ?? {};
+}
+
+function leagueCurrentRound(leagueName, now = new Date()) {
+  let current = 0;
+  for (const r of leagueRows(leagueName)) {
+    lpOpponents(r).forEach((o, i) => {
+      if (!String(o ?? "").trim()) return;
+      const opens = leagueRoundOpens(leagueName, i + 1);
+      if (!opens || opens <= now) current = Math.max(current, i + 1);
+    });
+  }
+  return current;
+}
+
+function discordTime(d, style = "f") {
+  return `<t:${Math.floor(d.getTime() / 1000)}:${style}>`;
+}
+
+function roundOpenEmbed(row, n, deadline) {
+  const leagueName = String(lpLeague(row) ?? "").trim() || null;
+  const opp = String(lpRoundCol(row, n, "Opponent") ?? "").trim();
+  const isBye = /^bye$/i.test(opp);
+
+  const embed = makeBaseEmbed(`Round ${n} is open${leagueName ? ` — ${leagueName}` : ""}`).setDescription(
+    [
+      isBye ? "You have a **bye** this round." : `Opponent: **${playerWithMention(opp, leagueName)}**`,
+      `Battleplan: **${leagueBattleplan(leagueName, n)}**`,
+      deadline ? `Deadline: ${discordTime(deadline)} (${discordTime(deadline, "R")})` : null,
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return leagueCachedFooter(embed);
+}
+
+function roundDeadlineEmbed(row, n, deadline) {
+  const leagueName = String(lpLeague(row) ?? "").trim() || null;
+  const opp = String(lpRoundCol(row, n, "Opponent") ?? "").trim();
+
+  const embed = makeBaseEmbed(`Round ${n} result missing${leagueName ? ` — ${leagueName}` : ""}`).setDescription(
+    [
+      `Your game against **${playerWithMention(opp, leagueName)}** hasn't got a result in the sheet yet.`,
+      `Battleplan: **${leagueBattleplan(leagueName, n)}**`,
+      `Deadline: ${discordTime(deadline)} (${discordTime(deadline, "R")})`,
+    ].join("\n")
+  );
+  return leagueCachedFooter(embed);
+}
+
+// Whether a player's round-n game is on record. Most sheets only have W/D/L totals, so the
+// game counts once the player has as many results as rounds with a real opponent so far;
+// a per-round result cell or a /report that hasn't been rejected counts too.
+function leagueGameRecorded(row, n) {
+  const leagueName = String(lpLeague(row) ?? "").trim();
+  const opp = String(lpRoundCol(row, n, "Opponent") ?? "").trim();
+  const oppRow = findLeagueRow(leagueName, opp);
+
+  const outcome = pairingOutcome(row, oppRow, n);
+  if (outcome.code || outcome.conflict) return true;
+
+  if (leagueGamesRecorded(row) >= leagueGamesThrough(row, n)) return true;
+
+  return Object.values(leagueReports).some(
+    (r) =>
+      r.round === n &&
+      r.status !== "rejected" &&
+      reportInvolves(r, leagueName, lpPlayer(row)) &&
+      reportInvolves(r, leagueName, opp)
+  );
+}
+
+async function sendLeagueReminder(userId, embed) {
+  if (LEAGUE_REMINDER_CHANNEL_ID) {
+    const channel = await client.channels.fetch(LEAGUE_REMINDER_CHANNEL_ID);
+    await channel.send({ content: `<@${userId}>`, embeds: [embed] });
+    return;
+  }
+  const user = await client.users.fetch(userId);
+  await user.send({ embeds: [embed] });
+}
+
+async function runLeagueReminders(now = new Date()) {
+  if (leagueRemindersRunning) return;
+  leagueRemindersRunning = true;
+
+  try {
+    await ensureLeagueData();
+    let changed = false;
+
+    for (const userId of Object.keys(playerLinks)) {
+      const row = linkedRow(userId);
+      if (!row) continue;
+
+      const leagueName = String(lpLeague(row) ?? "").trim() || null;
+      const n = leagueCurrentRound(leagueName, now);
+      const opp = n ? String(lpRoundCol(row, n, "Opponent") ?? "").trim() : "";
+      if (!opp) continue;
+
+      const deadline = leagueRoundDeadline(leagueName, n);
+      const key = `${userId}|${norm(leagueName ?? "")}|${n}`;
+      const due = [];
+
+      const seenKey = `round|${norm(leagueName ?? "")}|${n}`;
+      if (!remindersSent[seenKey]) {
+        remindersSent[seenKey] = now.toISOString();
+        changed = true;
+      }
+      const openedAt = leagueRoundOpens(leagueName, n) ?? new Date(remindersSent[seenKey]);
+
+      if (!remindersSent[`${key}|open`] && !(deadline && deadline <= now)) {
+        if (now.getTime() - openedAt.getTime() <= LEAGUE_OPEN_REMINDER_HOURS * 3600 * 1000) {
+          due.push([`${key}|open`, roundOpenEmbed(row, n, deadline)]);
+        } else {
+          // Too late to be news; record it so it isn't reconsidered every tick
+          remindersSent[`${key}|open`] = `skipped ${now.toISOString()}`;
+          changed = true;
+        }
+      }
+
+      const remindFrom = deadline ? deadline.getTime() - LEAGUE_REMINDER_HOURS * 3600 * 1000 : null;
+      if (
+        deadline &&
+        !/^bye$/i.test(opp) &&
+        !remindersSent[`${key}|deadline`] &&
+        now.getTime() >= remindFrom &&
+        now < deadline
+      ) {
+        if (!leagueGameRecorded(row, n)) {
+          due.push([`${key}|deadline`, roundDeadlineEmbed(row, n, deadline)]);
+        }
+      }
+
+      for (const [sentKey, embed] of due) {
+        try {
+          await sendLeagueReminder(userId, embed);
+          remindersSent[sentKey] = now.toISOString();
+          changed = true;
+        } catch (e) {
+          // 50007: DMs closed. Don't retry that every tick; other errors get another go.
+          if (e?.code === 50007) {
+            remindersSent[sentKey] = `undeliverable ${now.toISOString()}`;
+            changed = true;
+          }
+          console.warn(`League reminder to ${userId} failed:`, e?.message ?? e);
+        }
+      }
+    }
+
+    if (changed) await writeJSON("reminders.json", remindersSent);
+  } catch (e) {
+    console.warn("League reminders failed:", e?.message ?? e);
+  } finally {
+    leagueRemindersRunning = false;
+  }
+}
+
+function startLeagueReminders() {
+  if (!LEAGUE_REMINDERS || !LEAGUE_PLAYERS_CSV_URL) return;
+
+  runLeagueReminders();
+  setInterval(runLeagueReminders, LEAGUE_REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  console.log(
+    `✅ League reminders every ${LEAGUE_REMINDER_INTERVAL_MINUTES} min (${
+      LEAGUE_REMINDER_CHANNEL_ID ? `channel ${LEAGUE_REMINDER_CHANNEL_ID}` : "DMs"
+    }).`
+  );
+}
+
+// ---------- Result reports (/report) ----------
+// Players report results; the opponent confirms or disputes and an organiser approves or
+// rejects. Approved results count in /league until the sheet catches up: a "Rnd N Result"
+// cell if the sheet has them, otherwise each player's totals covering that round (totals
+// snapshotted at approval tell us which result went in). Stored in DATA_DIR/reports.json:
+// id -> { id, league, round, reporter: { userId, player }, opponent, result (reporter's
+// side), score, notes, status, sheetTotals: { [player]: { games, W, D, L } }, ... }.
+
+const REPORT_RESULTS = { win: "W", draw: "D", loss: "L" };
+const REPORT_RESULT_WORDS = { W: "win", D: "draw", L: "loss" };
+
+let leagueReports = {};
+
+async function loadLeagueReports() {
+  leagueReports = (await readJSON("reports.json", null)) ?? {};
+}
+
+async function saveLeagueReports() {
+  await writeJSON("reports.json", leagueReports);
+}
+
+function isOrganiser(interaction) {
+  if (isAdmin(interaction)) return true;
+  if (!LEAGUE_ORGANISER_ROLE_ID) return false;
+  const roles = interaction.member?.roles;
+  // Cached GuildMember has a RoleManager; uncached members come through as raw role ids
+  return Boolean(roles?.cache?.has?.(LEAGUE_ORGANISER_ROLE_ID) || roles?.includes?.(LEAGUE_ORGANISER_ROLE_ID));
+}
+
+function findLeagueRow(leagueName, player) {
+  return leagueRows(leagueName).find((r) => normLoose(lpPlayer(r)) === normLoose(player)) ?? null;
+}
+
+function reportInvolves(report, leagueName, player) {
+  return (
+    norm(report.league) === norm(leagueName ?? "") &&
+    [report.reporter.player, report.opponent].some((p) => normLoose(p) === normLoose(player))
+  );
+}
+
+function leagueSheetTotals(row) {
+  return { games: leagueGamesRecorded(row), W: num0(lpW(row)), D: num0(lpD(row)), L: num0(lpL(row)) };
+}
+
+// Whether `player`'s row in the sheet has caught up with an approved report, and the
+// result it shows from that player's side. Without a result cell, the round is in once the
+// row holds enough games to cover it (see leagueGamesThrough). The result is only read off
+// the totals when exactly one game was added since approval and no other approved report
+// for the player could account for it; otherwise it's null (unknown).
+function sheetStateForReport(report, player) {
+  const row = findLeagueRow(report.league, player);
+  if (!row) return { recorded: false, code: null };
+
+  const mine = normLoose(player) === normLoose(report.reporter.player);
+  const other = mine ? report.opponent : report.reporter.player;
+  const outcome = pairingOutcome(row, findLeagueRow(report.league, other), report.round);
+  if (normLoose(lpRoundCol(row, report.round, "Opponent")) === normLoose(other) && outcome.code) {
+    return { recorded: true, code: outcome.code };
+  }
+
+  const now = leagueSheetTotals(row);
+  if (now.games < leagueGamesThrough(row, report.round)) return { recorded: false, code: null };
+
+  const before = report.sheetTotals?.[normLoose(player)];
+  if (!before || now.games - before.games !== 1) return { recorded: true, code: null };
+
+  // Other approved rounds the sheet didn't cover at approval could own the added game
+  const competing = Object.values(leagueReports).some(
+    (r) =>
+      r.id !== report.id &&
+      r.status === "approved" &&
+      reportInvolves(r, report.league, player) &&
+      leagueGamesThrough(row, r.round) > before.games
+  );
+  const added = ["W", "D", "L"].filter((k) => now[k] - before[k] === 1);
+  return { recorded: true, code: !competing && added.length === 1 ? added[0] : null };
+}
+
+// Approved results the sheet doesn't have yet, from this player's side, plus any
+// approved results the sheet disagrees with
+function leagueResultOverlay(row) {
+  const player = String(lpPlayer(row) ?? "").trim();
+  const leagueName = String(lpLeague(row) ?? "").trim();
+  const out = { W: 0, D: 0, L: 0, games: 0, pts: 0, rounds: [], conflicts: [] };
+
+  for (const report of Object.values(leagueReports)) {
+    if (report.status !== "approved" || !reportInvolves(report, leagueName, player)) continue;
+
+    const mine = normLoose(report.reporter.player) === normLoose(player);
+    const code = mine ? report.result : RESULT_OPPOSITE[report.result];
+    const sheet = sheetStateForReport(report, player);
+
+    if (!sheet.recorded) {
+      out[code] += 1;
+      out.games += 1;
+      out.pts += LEAGUE_RESULT_POINTS[code];
+      out.rounds.push(report.round);
+    } else if (sheet.code && sheet.code !== code) {
+      out.conflicts.push({ round: report.round, sheet: sheet.code, reported: code });
+    }
+  }
+
+  return out;
+}
+
+const REPORT_STATUS_TEXT = {
+  pending: (r) => `⏳ Waiting for ${r.opponent} to confirm and an organiser to approve`,
+  confirmed: (r) => `✅ Confirmed by ${r.opponent} — waiting for an organiser`,
+  disputed: (r) => `⚠️ Disputed by ${r.opponent} — an organiser needs to check`,
+  approved: (r) => `✅ Approved by <@${r.decidedBy}>`,
+  rejected: (r) => `❌ Rejected by <@${r.decidedBy}>`,
+};
+
+function reportEmbed(report) {
+  const embed = makeBaseEmbed(
+    `Result report — Round ${report.round}${report.league ? ` (${report.league})` : ""}`
+  ).setDescription(
+    [
+      `**${report.reporter.player}** reported a **${REPORT_RESULT_WORDS[report.result]}** against **${report.opponent}**`,
+      report.score ? `Score: **${report.score}**` : null,
+      report.notes ? `Notes: ${report.notes}` : null,
+      report.sheetOpponent ? `⚠️ The sheet has **${report.sheetOpponent}** as the round ${report.round} opponent.` : null,
+      "",
+      REPORT_STATUS_TEXT[report.status](report),
+    ]
+      .filter((x) => x !== null)
+      .join("\n")
+  );
+  return leagueCachedFooter(embed);
+}
+
+function reportButtons(report) {
+  const btn = (action, label, style) =>
+    new ButtonBuilder().setCustomId(`report:${report.id}:${action}`).setLabel(label).setStyle(style);
+
+  const buttons = [];
+  if (report.status === "pending") {
+    buttons.push(btn("confirm", "Confirm", ButtonStyle.Success), btn("dispute", "Dispute", ButtonStyle.Secondary));
+  }
+  if (["pending", "confirmed", "disputed"].includes(report.status)) {
+    buttons.push(btn("approve", "Approve", ButtonStyle.Primary), btn("reject", "Reject", ButtonStyle.Danger));
+  }
+  return buttons.length ? [new ActionRowBuilder().addComponents(buttons)] : [];
+}
+
+const REPORT_FORM_TTL_MS = 15 * 60 * 1000;
+const pendingReportForms = new Map(); // token -> { values, userId, expiresAt }
+
+function showReportModal(interaction) {
+  const now = Date.now();
+  for (const [t, f] of pendingReportForms) if (f.expiresAt <= now) pendingReportForms.delete(t);
+
+  const token = crypto.randomUUID().slice(0, 8);
+  pendingReportForms.set(token, {
+    values: optionValues(interaction),
+    userId: interaction.user.id,
+    expiresAt: now + REPORT_FORM_TTL_MS,
+  });
+
+  const modal = new ModalBuilder()
+    .setCustomId(`reportform:${token}`)
+    .setTitle(`Round ${interaction.options.getInteger("round")} result`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("score")
+          .setLabel("Score (optional), e.g. 24-18")
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(50)
+          .setRequired(false)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("notes")
+          .setLabel("Notes (optional)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(500)
+          .setRequired(false)
+      )
+    );
+  return interaction.showModal(modal);
+}
+
+async function handleReportForm(interaction, token) {
+  const form = pendingReportForms.get(token);
+  pendingReportForms.delete(token);
+
+  if (!form || form.expiresAt <= Date.now() || form.userId !== interaction.user.id) {
+    return interaction.reply({ content: "This form has expired — run `/report` again.", ephemeral: true });
+  }
+
+  await interaction.deferReply();
+  return submitReport(interaction, {
+    round: form.values.round,
+    opponentInput: form.values.opponent,
+    result: form.values.result,
+    score: interaction.fields.getTextInputValue("score").trim(),
+    notes: interaction.fields.getTextInputValue("notes").trim(),
+  });
+}
+
+async function submitReport(interaction, { round, opponentInput, result, score = "", notes = "" }) {
+  const fail = (title, text) => {
+    const embed = makeBaseEmbed(title).setDescription(text);
+    leagueCachedFooter(embed);
+    return interaction.editReply({ embeds: [embed] });
+  };
+
+  await ensureLeagueData();
+
+  const row = linkedRow(interaction.user.id);
+  if (!row) return fail("Who are you?", "Link your league player first with `/iam player: <your name>`.");
+
+  const leagueName = String(lpLeague(row) ?? "").trim();
+  const player = String(lpPlayer(row)).trim();
+  const others = leagueRows(leagueName)
+    .map((r) => String(lpPlayer(r) ?? "").trim())
+    .filter((p) => p && normLoose(p) !== normLoose(player));
+
+  const { match, candidates } = resolveName(opponentInput, others);
+  if (!match) {
+    return fail(
+      "Unknown opponent",
+      `No clear match for "${opponentInput}"${leagueName ? ` in **${leagueName}**` : ""}.${
+        candidates.length ? ` Did you mean: ${candidates.slice(0, 5).map((c) => c.value).join(", ")}?` : ""
+      }`
+    );
+  }
+
+  const duplicate = Object.values(leagueReports).find(
+    (r) =>
+      r.round === round &&
+      r.status !== "rejected" &&
+      reportInvolves(r, leagueName, player) &&
+      reportInvolves(r, leagueName, match)
+  );
+  if (duplicate) {
+    return fail(
+      "Already reported",
+      `Round ${round} between ${player} and ${match} was already reported (${duplicate.status}).`
+    );
+  }
+
+  const sheetOpp = String(lpRoundCol(row, round, "Opponent") ?? "").trim();
+  const report = {
+    id: crypto.randomUUID().slice(0, 8),
+    league: leagueName,
+    round,
+    reporter: { userId: interaction.user.id, player },
+    opponent: match,
+    result: REPORT_RESULTS[result],
+    score: score || null,
+    notes: notes || null,
+    sheetOpponent: sheetOpp && normLoose(sheetOpp) !== normLoose(match) ? sheetOpp : null,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+  };
+  leagueReports[report.id] = report;
+  await saveLeagueReports();
+
+  const oppId = linkedUserId(findLeagueRow(leagueName, match));
+  return interaction.editReply({
+    content: oppId
+      ? `<@${oppId}>, please confirm or dispute this result.`
+      : `${match} hasn't linked their Discord account, so an organiser will need to approve this.`,
+    embeds: [reportEmbed(report)],
+    components: reportButtons(report),
+    allowedMentions: { users: oppId ? [oppId] : [] },
+  });
+}
+
+async function handleReportButton(interaction, id, action) {
+  const report = leagueReports[id];
+  const deny = (content) => interaction.reply({ content, ephemeral: true });
+
+  if (!report) return deny("That report no longer exists.");
+
+  if (action === "confirm" || action === "dispute") {
+    const oppId = linkedUserId(findLeagueRow(report.league, report.opponent));
+    if (interaction.user.id !== oppId) return deny(`Only ${report.opponent} can confirm or dispute this.`);
+    if (report.status !== "pending") return deny("This report has already moved on.");
+
+    report.status = action === "confirm" ? "confirmed" : "disputed";
+    report.respondedAt = new Date().toISOString();
+  } else if (action === "approve" || action === "reject") {
+    if (!isOrganiser(interaction)) return deny("Only league organisers can approve or reject results.");
+    if (["approved", "rejected"].includes(report.status)) return deny("This report has already been decided.");
+
+    report.status = action === "approve" ? "approved" : "rejected";
+    report.decidedBy = interaction.user.id;
+    report.decidedAt = new Date().toISOString();
+
+    // What the sheet says now, so we can tell when the organiser has entered this result
+    if (report.status === "approved") {
+      report.sheetTotals = {};
+      for (const player of [report.reporter.player, report.opponent]) {
+        const row = findLeagueRow(report.league, player);
+        if (row) report.sheetTotals[normLoose(player)] = leagueSheetTotals(row);
+      }
+    }
+  } else {
+    return;
+  }
+
+  await saveLeagueReports();
+  return interaction.update({ embeds: [reportEmbed(report)], components: reportButtons(report) });
+}
+
+// After a league refresh: approved results the sheet now contradicts go to the admin
+// channel once each. Ones the sheet agrees with are marked as caught up.
+async function flagReportConflicts() {
+  let changed = false;
+
+  for (const report of Object.values(leagueReports)) {
+    if (report.status !== "approved" || report.conflictFlaggedAt || report.inSheetAt) continue;
+
+    const { recorded, code: sheet } = sheetStateForReport(report, report.reporter.player);
+    if (!recorded) continue;
+
+    if (!sheet || sheet === report.result) {
+      report.inSheetAt = new Date().toISOString();
+      changed = true;
+      continue;
+    }
+
+    const text =
+      `⚠️ Round ${report.round}${report.league ? ` (${report.league})` : ""}: the sheet has ` +
+      `**${report.reporter.player}** with a **${REPORT_RESULT_WORDS[sheet]}** against **${report.opponent}**, ` +
+      `but the approved report says **${REPORT_RESULT_WORDS[report.result]}** (report \`${report.id}\`).`;
+
+    try {
+      if (LEAGUE_ADMIN_CHANNEL_ID) {
+        const channel = await client.channels.fetch(LEAGUE_ADMIN_CHANNEL_ID);
+        await channel.send({ content: text, allowedMentions: { parse: [] } });
+      } else {
+        console.warn(text);
+      }
+      report.conflictFlaggedAt = new Date().toISOString();
+      changed = true;
+    } catch (e) {
+      console.warn("Couldn't flag report conflict:", e?.message ?? e);
+    }
+  }
+
+  if (changed) await saveLeagueReports();
+}
+
+// ---------- Swiss pairings (/pair) ----------
+// Players in standings order; each takes the highest-placed opponent they haven't met
+// (so same-points groups pair first and odd ones float down), backtracking when the
+// tail can't be paired. Byes go to the lowest-placed player without one who still leaves
+// a pairable pool. If every option means a rematch, the search keeps the fewest.
+
+const PAIR_TTL_MS = 15 * 60 * 1000;
+const PAIR_MAX_STEPS = 50000;
+const pendingPairings = new Map(); // token -> { leagueName, round, pairs, bye, rematches (count), gaveUp, csv, userId, expiresAt }
+
+function previousOpponents(row, beforeRound) {
+  return new Set(
+    lpOpponents(row)
+      .slice(0, beforeRound - 1)
+      .map((o) => normLoose(o))
+      .filter(Boolean)
+  );
+}
+
+function hadBye(row, beforeRound) {
+  return lpOpponents(row)
+    .slice(0, beforeRound - 1)
+    .some((o) => /^bye$/i.test(String(o ?? "").trim()));
+}
+
+// Depth-first search over pairings of `rows`, keeping the one with the fewest rematches
+// in `search.best` (shared across bye candidates, so a worse branch is cut early). Steps
+// only count once a pairing is in hand; `gaveUp` means the budget ran out first.
+function pairFewestRematches(rows, met, bye, search) {
+  const isRematch = (a, b) => (met.get(a).has(normLoose(lpPlayer(b))) ? 1 : 0);
+
+  const solve = (left, pairs, cost) => {
+    if (search.best && cost >= search.best.rematches) return;
+    if (!left.length) {
+      search.best = { pairs, bye, rematches: cost };
+      return;
+    }
+    if (search.best && ++search.steps > PAIR_MAX_STEPS) {
+      search.gaveUp = true;
+      return;
+    }
+
+    const [first, ...rest] = left;
+    // Opponents they haven't met first, each group in standings order
+    const order = rest.map((_, i) => i).sort((i, j) => isRematch(first, rest[i]) - isRematch(first, rest[j]));
+    for (const i of order) {
+      if (search.gaveUp || search.best?.rematches === 0) return;
+      solve(
+        [...rest.slice(0, i), ...rest.slice(i + 1)],
+        [...pairs, [first, rest[i]]],
+        cost + isRematch(first, rest[i])
+      );
+    }
+  };
+
+  solve(rows, [], 0);
+}
+
+function swissPairings(leagueName, round) {
+  const rows = leagueStandings(
+    leagueRows(leagueName).filter((r) => String(lpPlayer(r) ?? "").trim())
+  ).map((e) => e.row);
+  const met = new Map(rows.map((r) => [r, previousOpponents(r, round)]));
+
+  let byes = [null];
+  if (rows.length % 2) {
+    const lowestFirst = [...rows].reverse();
+    const noBye = lowestFirst.filter((r) => !hadBye(r, round));
+    byes = noBye.length ? noBye : lowestFirst;
+  }
+
+  const search = { best: null, steps: 0, gaveUp: false };
+  for (const bye of byes) {
+    pairFewestRematches(
+      rows.filter((r) => r !== bye),
+      met,
+      bye,
+      search
+    );
+    if (search.gaveUp || search.best?.rematches === 0) break;
+  }
+
+  const { pairs, bye, rematches } = search.best;
+  return { pairs, bye, rematches, gaveUp: search.gaveUp && rematches > 0 };
+}
+
+function pairingsCSV(leagueName, round, pairs, bye) {
+  const oppOf = new Map();
+  for (const [a, b] of pairs) {
+    oppOf.set(a, lpPlayer(b));
+    oppOf.set(b, lpPlayer(a));
+  }
+  if (bye) oppOf.set(bye, "BYE");
+
+  const cell = (x) => {
+    const t = String(x ?? "");
+    return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+  };
+
+  // Sheet order, so the opponent column can be pasted straight back in
+  const lines = [["Player", "League", `Rnd ${round} Opponent`].join(",")];
+  for (const r of leagueRows(leagueName)) {
+    if (!oppOf.has(r)) continue;
+    lines.push([lpPlayer(r), lpLeague(r), oppOf.get(r)].map(cell).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function pairingPreviewEmbed(state, status = "preview") {
+  const { leagueName, round, pairs, bye, rematches, gaveUp } = state;
+  const pts = (r) => fmtInt(num0(lpPts(r)));
+
+  const rematch = ([a, b]) => previousOpponents(a, round).has(normLoose(lpPlayer(b)));
+
+  const lines = pairs.map(
+    ([a, b], i) =>
+      `Table ${i + 1}: **${lpPlayer(a)}** (${pts(a)}) vs **${lpPlayer(b)}** (${pts(b)})${
+        rematch([a, b]) ? " ⚠️ rematch" : ""
+      }`
+  );
+  if (bye) lines.push(`Bye: **${lpPlayer(bye)}**`);
+
+  // Big leagues don't fit in one embed; the CSV always has every table
+  const [shown, ...rest] = chunkByLines(lines, 3400, "\n");
+  const hidden = rest.reduce((acc, chunk) => acc + chunk.split("\n").length, 0);
+
+  const embed = makeBaseEmbed(
+    `Round ${round} pairings${leagueName ? ` — ${leagueName}` : ""}${
+      status === "preview" ? " (preview)" : ""
+    }`
+  ).setDescription(
+    [
+      `Battleplan: **${leagueBattleplan(leagueName, round)}**`,
+      rematches
+        ? gaveUp
+          ? `⚠️ Stopped searching after ${fmtInt(PAIR_MAX_STEPS)} tries; this pairing has ${rematches} rematch(es) and fewer may be possible.`
+          : `⚠️ No pairing avoids rematches; this one has the fewest possible (${rematches}).`
+        : null,
+      "",
+      shown,
+      hidden ? `…and ${hidden} more line(s) — the CSV has them all.` : null,
+      "",
+      status === "preview"
+        ? "Confirm to get a CSV to paste into the sheet."
+        : status === "confirmed"
+          ? "✅ Confirmed — CSV attached."
+          : "Cancelled.",
+    ]
+      .filter((x) => x !== null)
+      .join("\n")
+  );
+  return leagueCachedFooter(embed);
+}
+
+async function handlePairButton(interaction, token, action) {
+  const state = pendingPairings.get(token);
+  if (!state || state.expiresAt <= Date.now()) {
+    pendingPairings.delete(token);
+    return interaction.reply({ content: "This preview has expired — run `/pair` again.", ephemeral: true });
+  }
+  if (interaction.user.id !== state.userId) {
+    return interaction.reply({ content: "Only the person who ran `/pair` can confirm it.", ephemeral: true });
+  }
+
+  pendingPairings.delete(token);
+
+  if (action !== "confirm") {
+    return interaction.update({ embeds: [pairingPreviewEmbed(state, "cancelled")], components: [] });
+  }
+
+  // Built at preview time: a refresh during the confirm window replaces the sheet rows
+  const csvText = state.csv;
+  const name = `${safeFilename(state.leagueName || "league") || "league"}-round-${state.round}-pairings.csv`;
+  return interaction.update({
+    embeds: [pairingPreviewEmbed(state, "confirmed")],
+    components: [],
+    files: [new AttachmentBuilder(Buffer.from(csvText, "utf8"), { name })],
+  });
+}
+
+// ---------- League faction breakdown (/leaguemeta) ----------
+
+// Faction per player from their Lists cell (declared, or inferred from the units)
+function leagueRowFaction(row) {
+  const text = String(lpList(row) ?? "").trim();
+  if (!text) return null;
+  return analyseArmyList(parseArmyList(text)).faction;
+}
+
+// Per-faction W/D/L/Pts for a league. Approved /report results are added only while the
+// sheet hasn't caught up with them (see leagueResultOverlay), so nothing counts twice.
+function leagueFactionTotals(leagueName) {
+  const totals = new Map();
+
+  for (const row of leagueRows(leagueName)) {
+    if (!String(lpPlayer(row) ?? "").trim()) continue;
+
+    const faction = leagueRowFaction(row);
+    const key = faction ?? "";
+    if (!totals.has(key)) {
+      totals.set(key, { faction, players: 0, W: 0, D: 0, L: 0, games: 0, pts: 0, reported: 0 });
+    }
+
+    const t = totals.get(key);
+    const overlay = leagueResultOverlay(row);
+    const sheetGames = Number.isFinite(lpGames(row))
+      ? lpGames(row)
+      : num0(lpW(row)) + num0(lpD(row)) + num0(lpL(row));
+
+    t.players += 1;
+    t.W += num0(lpW(row)) + overlay.W;
+    t.D += num0(lpD(row)) + overlay.D;
+    t.L += num0(lpL(row)) + overlay.L;
+    t.games += sheetGames + overlay.games;
+    t.pts += num0(lpPts(row)) + overlay.pts;
+    t.reported += overlay.games;
+  }
+
+  return [...totals.values()];
+}
+
+function leagueMetaLine(t) {
+  const win = t.games ? (t.W / t.games) * 100 : NaN;
+  const overall = t.faction ? findFactionOverallRowByInput(t.faction) : null;
+  const gtWin = overall ? factionWinPct(overall) : NaN;
+
+  const vsGT = Number.isFinite(gtWin)
+    ? ` · GT ${fmtPct(gtWin, 1)} (${fmtPP(win - gtWin)})`
+    : t.faction
+      ? " · GT —"
+      : "";
+
+  return (
+    `**${t.faction ?? "Faction not detected"}** — ${t.players} player(s) · ` +
+    `${t.W}W ${t.D}D ${t.L}L · ${fmtInt(t.pts)} pts\n` +
+    `League ${fmtPctCI(win, t.games, 0)} over ${fmtInt(t.games)} game(s)${vsGT}`
+  );
+}
+
+function safeFilename(s) {
+  return norm(s).replace(/[^\w\-]+/g, "-").replace(/\-+/g, "-").replace(/^\-|\-$/g, "");
+}
+// -------------------- Discovery + Autocomplete helpers --------------------
+//
+// Goal:
+// - As the user types, Discord suggests factions, formations, and warscrolls.
+// - Discovery commands can list factions/formations/etc without needing exact spelling.
+//
+// Notes:
+// - Autocomplete requires option.setAutocomplete(true) in your SlashCommand definitions.
+// - This code only *provides suggestions*; it does not change your existing commands yet.
+function getLeaguePlayers(leagueName = null) {
+  return leaguePlayerEntries(leagueName).map((e) => e.label);
+}
+
+// One entry per player row; names that appear in more than one league get "(League)"
+// appended so the labels stay unique when no league is selected.
+function leaguePlayerEntries(leagueName = null) {
+  const rows = leagueRows(leagueName).filter((r) => String(lpPlayer(r) ?? "").trim());
+  const counts = new Map();
+  for (const r of rows) {
+    const key = normLoose(lpPlayer(r));
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+
+  const entries = rows.map((row) => {
+    const name = String(lpPlayer(row)).trim();
+    const league = String(lpLeague(row) ?? "").trim();
+    const label = counts.get(normLoose(name)) > 1 && league ? `${name} (${league})` : name;
+    return { label, row };
+  });
+
+  const seen = new Set();
+  return entries.filter((e) => !seen.has(e.label) && seen.add(e.label));
+}
+
+function uniq(arr) {
+  return [...new Set(arr.filter(Boolean))];
+}
+
+function startsOrIncludes(haystack, needle) {
+  const h = norm(haystack);
+  const n = norm(needle);
+  if (!n) return true;
+  // Prefer "starts with", then "includes"
+  return h.startsWith(n) || h.includes(n);
+}
+
+function limitChoices(choices, max = 25) {
+  // Discord autocomplete max is 25
+  return choices.slice(0, max);
+}
+
+// Build faction name list from factionCache (best source for “canonical” names)
+function getAllFactions() {
+  const pool = factionCache.filter((r) => factionGames(r) >= MIN_GAMES);
+  const names = pool.map((r) => factionName(r)).map((x) => String(x ?? "").trim());
+  return uniq(names);
+}
+
+// Distinct faction names as they appear in the warscroll CSV
+function getWarscrollFactions() {
+  return uniq(warscrollCache.map((r) => String(warscrollFaction(r) ?? "").trim()));
+}
+
+// All faction CSV rows (Overall + formations) for a faction input
+function getFactionRows(factionInput) {
+  const isFaction = factionMatcher(factionInput, getAllFactions());
+  const pool = factionCache.filter((r) => factionGames(r) >= MIN_GAMES);
+  return pool.filter((r) => isFaction(factionName(r)));
+}
+
+// "Faction — Formation" for every non-Overall row, so a formation is unambiguous on its own
+function getFormationLabels() {
+  return uniq(
+    factionCache
+      .filter((r) => factionGames(r) >= MIN_GAMES)
+      .filter((r) => formationName(r) && norm(formationName(r)) !== "overall")
+      .map((r) => formationLabel(r))
+  );
+}
+
+function formationLabel(row) {
+  return `${String(factionName(row) ?? "").trim()} — ${String(formationName(row) ?? "").trim()}`;
+}
+
+// Build formation list for a given faction input (from factionCache)
+function getFormationsForFaction(factionInput) {
+  const rows = getFactionRows(factionInput);
+  const forms = rows.map((r) => formationName(r)).map((x) => String(x ?? "").trim());
+  return uniq(forms);
+}
+
+// Build warscroll list, optionally filtered by faction (from warscrollCache)
+function getWarscrolls({ factionInput = null } = {}) {
+  let rows = warscrollCache.filter((r) => warscrollGames(r) >= MIN_GAMES);
+
+  if (factionInput) {
+    const isFaction = factionMatcher(factionInput, getWarscrollFactions());
+    rows = rows.filter((r) => isFaction(warscrollFaction(r)));
+  }
+
+  const names = rows.map((r) => warscrollName(r)).map((x) => String(x ?? "").trim());
+  return uniq(names);
+}
+
+// Return autocomplete choices: [{ name, value }], best matches first.
+// aliasKind ("factions" | "warscrolls") also suggests whatever a typed nickname points at.
+function makeChoices(list, typed, aliasKind = null) {
+  let ranked = norm(typed) ? rankCandidates(typed, list).map((x) => x.value) : list;
+
+  if (aliasKind && norm(typed)) {
+    const viaAlias = aliasTargetsFor(aliasKind, typed)
+      .map((target) => bestMatch(target, list))
+      .filter(Boolean);
+    ranked = uniq([...viaAlias, ...ranked]);
+  }
+
+  const out = ranked
+    .slice(0, 25)
+    .map((x) => ({
+      name: x.length > 100 ? x.slice(0, 97) + "..." : x,
+      value: x,
+    }));
+  return out;
+}
+
+// -------------------- Name resolution (fuzzy matching + disambiguation) --------------------
+//
+// One scorer for every lookup (factions, formations, warscrolls, league players) and for
+// autocomplete, so "krethusa" or a typo like "ironjaws" behaves the same everywhere.
+// Scores: exact 100 > prefix 90 > word prefix 80 > all words 75 > substring 70 > typo 40–60.
+
+// Punctuation-insensitive, so "flesh eater" finds "Flesh-eater Courts"
+function normLoose(s) {
+  return norm(s)
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function maxTypos(len) {
+  if (len <= 3) return 0;
+  if (len <= 5) return 1;
+  if (len <= 9) return 2;
+  return 3;
+}
+
+function matchScore(query, candidate) {
+  const q = normLoose(query);
+  const c = normLoose(candidate);
+  if (!q || !c) return 0;
+
+  if (c === q) return 100;
+  if (c.startsWith(q)) return 90;
+
+  const cTokens = c.split(" ");
+  const qTokens = q.split(" ");
+
+  if (c.includes(` ${q}`)) return 80;
+  if (qTokens.every((qt) => cTokens.some((ct) => ct.startsWith(qt)))) return 75;
+  if (c.includes(q)) return 70;
+
+  // Typos: compare against the whole name and against runs of words the same length
+  // as the query ("ironjaws" vs "ironjawz", "gore gruntaz" vs "gore gruntas")
+  let best = levenshtein(q, c);
+  for (let i = 0; i + qTokens.length <= cTokens.length; i++) {
+    const window = cTokens.slice(i, i + qTokens.length).join(" ");
+    best = Math.min(best, levenshtein(q, window));
+  }
+
+  if (best > maxTypos(q.length)) return 0;
+  return Math.round(60 - (20 * best) / Math.max(maxTypos(q.length), 1));
+}
+
+// [{ value, score }] best first, dropping non-matches
+function rankCandidates(query, list) {
+  return list
+    .map((value) => ({ value, score: matchScore(query, value) }))
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score || a.value.length - b.value.length);
+}
+
+function bestMatch(query, list) {
+  return rankCandidates(query, list)[0]?.value ?? null;
+}
+
+// match: the single answer when it's clearly ahead; otherwise candidates to choose from
+function resolveName(query, list) {
+  const ranked = rankCandidates(query, list);
+  if (!ranked.length) return { match: null, candidates: [] };
+
+  const [top, second] = ranked;
+  if (top.score === 100 || !second || top.score - second.score >= 15) {
+    return { match: top.value, candidates: ranked };
+  }
+
+  return { match: null, candidates: ranked.filter((x) => top.score - x.score < 30) };
+}
+
+// Predicate for "is this the faction the user means?": the best fuzzy match among
+// `names` if there is one, otherwise the old substring behaviour.
+function factionMatcher(factionInput, names) {
+  const best = bestMatch(withAlias("factions", factionInput), names);
+  if (best) return (name) => norm(name) === norm(best);
+
+  const fq = norm(factionInput);
+  return (name) => norm(name).includes(fq);
+}
+
+// ---------- Aliases (nicknames -> canonical names) ----------
+// Shipped defaults are copied into DATA_DIR/aliases.json on first change; from then on
+// the file is the source of truth, so removing a default sticks. Targets don't need to
+// be spelled exactly like the sheet: they still go through the fuzzy resolver.
+const DEFAULT_ALIASES = {
+  factions: {
+    sce: "Stormcast Eternals",
+    stormcast: "Stormcast Eternals",
+    cos: "Cities of Sigmar",
+    cities: "Cities of Sigmar",
+    dok: "Daughters of Khaine",
+    fs: "Fyreslayers",
+    idk: "Idoneth Deepkin",
+    ko: "Kharadron Overlords",
+    kharadron: "Kharadron Overlords",
+    lrl: "Lumineth Realm-lords",
+    lumineth: "Lumineth Realm-lords",
+    syl: "Sylvaneth",
+    bok: "Blades of Khorne",
+    khorne: "Blades of Khorne",
+    dot: "Disciples of Tzeentch",
+    tzeentch: "Disciples of Tzeentch",
+    hos: "Hedonites of Slaanesh",
+    slaanesh: "Hedonites of Slaanesh",
+    mon: "Maggotkin of Nurgle",
+    nurgle: "Maggotkin of Nurgle",
+    std: "Slaves to Darkness",
+    hoh: "Helsmiths of Hashut",
+    fec: "Flesh-eater Courts",
+    obr: "Ossiarch Bonereapers",
+    nh: "Nighthaunt",
+    sbgl: "Soulblight Gravelords",
+    soulblight: "Soulblight Gravelords",
+    gsg: "Gloomspite Gitz",
+    gitz: "Gloomspite Gitz",
+    ij: "Ironjawz",
+    kb: "Kruleboyz",
+    kruleboys: "Kruleboyz",
+    ogors: "Ogor Mawtribes",
+    sob: "Sons of Behemat",
+    sons: "Sons of Behemat",
+  },
+  warscrolls: {
+    mawkrusha: "Megaboss on Maw-Krusha",
+    gruntas: "Gore-gruntas",
+    gotrek: "Gotrek Gurnisson",
+    lvgs: "Lord-Vigilant on Gryph-stalker",
+  },
+};
+
+const ALIAS_KINDS = ["factions", "warscrolls"];
+
+let aliasTable = structuredClone(DEFAULT_ALIASES);
+
+async function loadAliases() {
+  const saved = await readJSON("aliases.json", null);
+  if (!saved) return;
+  for (const kind of ALIAS_KINDS) aliasTable[kind] = { ...(saved[kind] ?? {}) };
+}
+
+async function saveAliases() {
+  await writeJSON("aliases.json", aliasTable);
+}
+
+function aliasKey(s) {
+  return normLoose(s);
+}
+
+// Canonical name for a nickname, or the input unchanged
+function withAlias(kind, input) {
+  if (!kind) return input;
+  return aliasTable[kind]?.[aliasKey(input)] ?? input;
+}
+
+// Canonical names whose alias starts with what's been typed so far (for autocomplete)
+function aliasTargetsFor(kind, typed) {
+  const t = aliasKey(typed);
+  if (!kind || !t) return [];
+  return uniq(
+    Object.entries(aliasTable[kind] ?? {})
+      .filter(([alias]) => alias.startsWith(t))
+      .map(([, target]) => target)
+  );
+}
+
+// ---------- Disambiguation picker (select menu -> replay the command) ----------
+const PICK_TTL_MS = 10 * 60 * 1000;
+const pendingPicks = new Map(); // token -> { commandName, optionName, values, choices, userId, expiresAt }
+
+function prunePendingPicks() {
+  const now = Date.now();
+  for (const [token, pick] of pendingPicks) {
+    if (pick.expiresAt <= now) pendingPicks.delete(token);
+  }
+}
+
+// Plain { optionName: value } map of what the user passed to the command
+function optionValues(interaction) {
+  if (interaction.optionValues) return { ...interaction.optionValues };
+
+  const out = {};
+  let data = interaction.options?.data ?? [];
+  if (data[0]?.type === ApplicationCommandOptionType.Subcommand) {
+    out._subcommand = data[0].name;
+    data = data[0].options ?? [];
+  }
+  for (const o of data) out[o.name] = o.value;
+  return out;
+}
+
+// A stand-in chat interaction that runCommand() can use to re-run a command with
+// different option values, replying by editing the component's message.
+function replayInteraction(component, commandName, values) {
+  return {
+    commandName,
+    optionValues: values,
+    user: component.user,
+    member: component.member,
+    guildId: component.guildId,
+    memberPermissions: component.memberPermissions,
+    options: {
+      getString: (n) => values[n] ?? null,
+      getInteger: (n) => values[n] ?? null,
+      getNumber: (n) => values[n] ?? null,
+      getBoolean: (n) => values[n] ?? null,
+      // User options store the id; the cached User is enough for anything we do with it
+      getUser: (n) =>
+        values[n] ? component.client?.users?.cache.get(values[n]) ?? { id: values[n] } : null,
+      getSubcommand: () => values._subcommand ?? null,
+    },
+    editReply: (payload) => component.editReply({ components: [], ...payload }),
+    followUp: (payload) => component.followUp(payload),
+  };
+}
+
+// Resolve one option value. Returns { value } (null if nothing matched), or
+// { picking: true } after replying with a select menu of close candidates.
+async function resolveOrPick(interaction, { input, list, optionName, label, aliasKind = null }) {
+  const { match, candidates } = resolveName(withAlias(aliasKind, input), list);
+  if (match) return { value: match };
+  if (!candidates.length) return { value: null };
+
+  // Menu values are indexes into `choices`: names can run past the 100-char value limit
+  const choices = candidates.slice(0, 25).map((c) => c.value);
+
+  prunePendingPicks();
+  const token = crypto.randomUUID().slice(0, 8);
+  pendingPicks.set(token, {
+    commandName: interaction.commandName,
+    optionName,
+    values: optionValues(interaction),
+    choices,
+    userId: interaction.user?.id,
+    expiresAt: Date.now() + PICK_TTL_MS,
+  });
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`pick:${token}`)
+    .setPlaceholder(`Choose a ${label}`)
+    .addOptions(
+      choices.map((name, i) => ({
+        label: name.length > 100 ? name.slice(0, 97) + "..." : name,
+        value: String(i),
+      }))
+    );
+
+  const embed = makeBaseEmbed("Which one did you mean?").setDescription(
+    `"${input}" matches more than one ${label}. Pick one below.`
+  );
+  addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+
+  await interaction.editReply({
+    embeds: [embed],
+    components: [new ActionRowBuilder().addComponents(menu)],
+  });
+  return { picking: true };
+}
+
+async function handlePick(interaction, token) {
+  const pick = pendingPicks.get(token);
+
+  if (!pick || pick.expiresAt <= Date.now()) {
+    pendingPicks.delete(token);
+    return interaction.reply({
+      content: "This choice has expired — run the command again.",
+      ephemeral: true,
+    });
+  }
+
+  if (pick.userId && interaction.user.id !== pick.userId) {
+    return interaction.reply({
+      content: "Only the person who ran the command can pick.",
+      ephemeral: true,
+    });
+  }
+
+  pendingPicks.delete(token);
+  await interaction.deferUpdate();
+
+  const chosen = pick.choices[Number(interaction.values[0])] ?? interaction.values[0];
+  const values = { ...pick.values, [pick.optionName]: chosen };
+  return runCommand(replayInteraction(interaction, pick.commandName, values));
+}
+
+// -------------------- Pagination (Previous / Next / Jump buttons) --------------------
+const PAGE_TTL_MS = 15 * 60 * 1000;
+const paginators = new Map(); // token -> state (see replyPaginated)
+
+function prunePaginators() {
+  const now = Date.now();
+  for (const [token, state] of paginators) {
+    if (state.expiresAt <= now) paginators.delete(token);
+  }
+}
+
+function pageCount(state) {
+  return Math.max(Math.ceil(state.lines.length / state.perPage), 1);
+}
+
+function renderPage(state) {
+  const pages = pageCount(state);
+  const start = state.page * state.perPage;
+  const body = state.lines.slice(start, start + state.perPage).join(state.separator);
+
+  const embed = makeBaseEmbed(state.title).setDescription(
+    [
+      state.intro,
+      body,
+      pages > 1 ? `*Page ${state.page + 1}/${pages} • ${state.lines.length} results*` : null,
+    ]
+      .filter(Boolean)
+      .join("\n\n")
+  );
+
+  state.decorate(embed);
+  return embed;
+}
+
+function pageButtons(state, token) {
+  const pages = pageCount(state);
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`page:${token}:prev`)
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(state.page === 0),
+    new ButtonBuilder()
+      .setCustomId(`page:${token}:next`)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(state.page >= pages - 1),
+    new ButtonBuilder()
+      .setCustomId(`page:${token}:jump`)
+      .setLabel("Jump to page…")
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+// Reply with the first page of `lines`; only the invoking user can page through the rest.
+// decorate(embed) adds the footer (defaults to the usual cached line).
+async function replyPaginated(
+  interaction,
+  {
+    title,
+    intro = null,
+    lines,
+    perPage = 20,
+    separator = "\n",
+    page = 0,
+    decorate = (embed) => addCachedLine(embed, warscrollCachedAt, factionCachedAt),
+  }
+) {
+  const state = {
+    title,
+    intro,
+    lines,
+    perPage,
+    separator,
+    decorate,
+    page,
+    userId: interaction.user?.id,
+    expiresAt: Date.now() + PAGE_TTL_MS,
+  };
+
+  if (pageCount(state) === 1) {
+    return interaction.editReply({ embeds: [renderPage(state)], components: [] });
+  }
+
+  prunePaginators();
+  const token = crypto.randomUUID().slice(0, 8);
+  paginators.set(token, state);
+
+  return interaction.editReply({
+    embeds: [renderPage(state)],
+    components: [pageButtons(state, token)],
+  });
+}
+
+// Shared guard for page buttons and the jump modal
+async function getPaginatorFor(interaction, token) {
+  const state = paginators.get(token);
+
+  if (!state || state.expiresAt <= Date.now()) {
+    paginators.delete(token);
+    await interaction.reply({
+      content: "These pages have expired — run the command again.",
+      ephemeral: true,
+    });
+    return null;
+  }
+
+  if (state.userId && interaction.user.id !== state.userId) {
+    await interaction.reply({
+      content: "Only the person who ran the command can change pages.",
+      ephemeral: true,
+    });
+    return null;
+  }
+
+  return state;
+}
+
+async function handlePageButton(interaction, token, action) {
+  const state = await getPaginatorFor(interaction, token);
+  if (!state) return;
+
+  if (action === "jump") {
+    const modal = new ModalBuilder()
+      .setCustomId(`pagejump:${token}`)
+      .setTitle("Jump to page")
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("page")
+            .setLabel(`Page (1–${pageCount(state)})`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+        )
+      );
+    return interaction.showModal(modal);
+  }
+
+  const pages = pageCount(state);
+  if (action === "prev") state.page = Math.max(state.page - 1, 0);
+  if (action === "next") state.page = Math.min(state.page + 1, pages - 1);
+
+  return interaction.update({
+    embeds: [renderPage(state)],
+    components: [pageButtons(state, token)],
+  });
+}
+
+async function handlePageJump(interaction, token) {
+  const state = await getPaginatorFor(interaction, token);
+  if (!state) return;
+
+  const wanted = Math.round(toNum(interaction.fields.getTextInputValue("page")));
+  if (!Number.isFinite(wanted)) {
+    return interaction.reply({ content: "That isn't a page number.", ephemeral: true });
+  }
+
+  state.page = Math.min(Math.max(wanted - 1, 0), pageCount(state) - 1);
+  return interaction.update({
+    embeds: [renderPage(state)],
+    components: [pageButtons(state, token)],
+  });
+}
+
+// -------------------- Discord client --------------------
 const client = new Client({ intents: [GatewayIntentBits.Guilds] });
 
 /* -------------------- Slash Commands -------------------- */
@@ -759,64 +3981,136 @@ client.once(Events.ClientReady, async () => {
 
     new SlashCommandBuilder()
       .setName("compare")
-      .setDescription("Compare two warscrolls")
+      .setDescription("Compare 2–5 warscrolls, factions or formations (with significance tests)")
       .addStringOption((o) =>
         o
           .setName("a")
-          .setDescription("Warscroll A")
+          .setDescription("Item A")
           .setRequired(true)
           .setAutocomplete(true)
       )
       .addStringOption((o) =>
         o
           .setName("b")
-          .setDescription("Warscroll B")
+          .setDescription("Item B")
           .setRequired(true)
           .setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o.setName("c").setDescription("Item C (optional)").setRequired(false).setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o.setName("d").setDescription("Item D (optional)").setRequired(false).setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o.setName("e").setDescription("Item E (optional)").setRequired(false).setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("type")
+          .setDescription("What to compare (default: warscrolls)")
+          .setRequired(false)
+          .addChoices(
+            { name: "warscrolls", value: "warscroll" },
+            { name: "factions", value: "faction" },
+            { name: "battle formations", value: "formation" }
+          )
       ),
 
     new SlashCommandBuilder()
       .setName("common")
-      .setDescription("Top 10 most common warscrolls for a faction (by Used %)")
+      .setDescription("Most common warscrolls for a faction (by Used %, top 10 by default)")
       .addStringOption((o) =>
         o
           .setName("faction")
           .setDescription("Faction name")
           .setRequired(true)
           .setAutocomplete(true)
+      )
+      .addIntegerOption((o) =>
+        o
+          .setName("limit")
+          .setDescription("How many to show (default 10)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(100)
       ),
 
     new SlashCommandBuilder()
       .setName("leastcommon")
-      .setDescription("Bottom 10 least common warscrolls for a faction (by Used %)")
+      .setDescription("Least common warscrolls for a faction (by Used %, bottom 10 by default)")
       .addStringOption((o) =>
         o
           .setName("faction")
           .setDescription("Faction name")
           .setRequired(true)
           .setAutocomplete(true)
+      )
+      .addIntegerOption((o) =>
+        o
+          .setName("limit")
+          .setDescription("How many to show (default 10)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(100)
       ),
 
     new SlashCommandBuilder()
       .setName("impact")
-      .setDescription("Top 10 warscrolls pulling the faction UP (vs faction overall win%)")
+      .setDescription("Warscrolls pulling the faction UP (vs faction overall win%, top 10 by default)")
       .addStringOption((o) =>
         o
           .setName("faction")
           .setDescription("Faction name")
           .setRequired(true)
           .setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("ranking")
+          .setDescription("Rank by raw lift, or lift adjusted for sample size (default: raw)")
+          .setRequired(false)
+          .addChoices(
+            { name: "raw", value: "raw" },
+            { name: "adjusted", value: "adjusted" }
+          )
+      )
+      .addIntegerOption((o) =>
+        o
+          .setName("limit")
+          .setDescription("How many to show (default 10)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(100)
       ),
 
     new SlashCommandBuilder()
       .setName("leastimpact")
-      .setDescription("Top 10 warscrolls pulling the faction DOWN (vs faction overall win%)")
+      .setDescription("Warscrolls pulling the faction DOWN (vs faction overall win%, top 10 by default)")
       .addStringOption((o) =>
         o
           .setName("faction")
           .setDescription("Faction name")
           .setRequired(true)
           .setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("ranking")
+          .setDescription("Rank by raw lift, or lift adjusted for sample size (default: raw)")
+          .setRequired(false)
+          .addChoices(
+            { name: "raw", value: "raw" },
+            { name: "adjusted", value: "adjusted" }
+          )
+      )
+      .addIntegerOption((o) =>
+        o
+          .setName("limit")
+          .setDescription("How many to show (default 10)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(100)
       ),
 
     new SlashCommandBuilder()
@@ -831,99 +4125,383 @@ client.once(Events.ClientReady, async () => {
       )
       .addStringOption((o) =>
         o
-          .setName("formation")
-          .setDescription("Battle formation (optional)")
+          .setName("formation")
+          .setDescription("Battle formation (optional)")
+          .setRequired(false)
+          .setAutocomplete(true)
+      ),
+    
+    new SlashCommandBuilder()
+      .setName("matchup")
+      .setDescription("How one faction does against another")
+      .addStringOption((o) =>
+        o.setName("a").setDescription("Faction").setRequired(true).setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o.setName("b").setDescription("Opponent faction").setRequired(true).setAutocomplete(true)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("matchups")
+      .setDescription("A faction's best and worst matchups")
+      .addStringOption((o) =>
+        o.setName("faction").setDescription("Faction").setRequired(true).setAutocomplete(true)
+      )
+      .addIntegerOption((o) =>
+        o
+          .setName("limit")
+          .setDescription("How many best/worst to show (default 5)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(15)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("meta")
+      .setDescription("Tier list of every faction (or battle formation) by win rate")
+      .addStringOption((o) =>
+        o
+          .setName("sort")
+          .setDescription("Rank by (default: win rate, grouped into tiers)")
+          .setRequired(false)
+          .addChoices(
+            { name: "Win %", value: "win" },
+            { name: "Games", value: "games" },
+            { name: "Average Elo", value: "elo" },
+            { name: "Elo gap", value: "gap" },
+            { name: "5–0 rate", value: "5-0" }
+          )
+      )
+      .addIntegerOption((o) =>
+        o
+          .setName("min_games")
+          .setDescription(`Ignore rows with fewer games (default and minimum ${MIN_GAMES})`)
+          .setRequired(false)
+          .setMinValue(MIN_GAMES)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("type")
+          .setDescription("Rank factions or battle formations (default: factions)")
+          .setRequired(false)
+          .addChoices(
+            { name: "factions", value: "faction" },
+            { name: "battle formations", value: "formation" }
+          )
+      ),
+
+    new SlashCommandBuilder()
+      .setName("alliance")
+      .setDescription("Grand alliance win rates, or one alliance's factions ranked")
+      .addStringOption((o) =>
+        o
+          .setName("name")
+          .setDescription("Grand alliance (leave empty to compare all)")
+          .setRequired(false)
+          .setAutocomplete(true)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("trend")
+      .setDescription("How a faction or warscroll's stats moved across saved snapshots")
+      .addStringOption((o) =>
+        o
+          .setName("faction")
+          .setDescription("Faction name")
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("formation")
+          .setDescription("Battle formation (optional, faction trends only)")
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("warscroll")
+          .setDescription("Warscroll name (shows Used % / Win % instead)")
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("metric")
+          .setDescription("Metric to summarise (default: Win %)")
+          .setRequired(false)
+          .addChoices(
+            { name: "Win %", value: "win" },
+            { name: "Games", value: "games" },
+            { name: "Average Elo", value: "elo" },
+            { name: "5–0 rate", value: "5-0" },
+            { name: "4–1 rate", value: "4-1" },
+            { name: "Used % (warscrolls)", value: "used" }
+          )
+      ),
+
+    new SlashCommandBuilder()
+  .setName("league")
+  .setDescription("Show a player's army list, fixtures, and results")
+  .addStringOption((o) =>
+    o
+      .setName("name")
+      .setDescription("Player name (leave empty for your own, see /iam)")
+      .setRequired(false)
+      .setAutocomplete(true)
+  )
+  .addStringOption((o) =>
+    o
+      .setName("league")
+      .setDescription("League (narrows the player list)")
+      .setRequired(false)
+      .setAutocomplete(true)
+  ),
+
+    new SlashCommandBuilder()
+      .setName("leagues")
+      .setDescription("List leagues with player counts and rounds played (discovery)"),
+
+    // -------------------- Discovery commands --------------------
+    new SlashCommandBuilder()
+      .setName("factions")
+      .setDescription("List factions (discovery)")
+      .addStringOption((o) =>
+        o
+          .setName("search")
+          .setDescription("Filter factions by name (optional)")
+          .setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("formations")
+      .setDescription("List battle formations for a faction (discovery)")
+      .addStringOption((o) =>
+        o
+          .setName("faction")
+          .setDescription("Faction name")
+          .setRequired(true)
+          .setAutocomplete(true)
+      )
+      .addBooleanOption((o) =>
+        o
+          .setName("detail")
+          .setDescription("Show a stats leaderboard of the formations (default: names only)")
+          .setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("warscrolls")
+      .setDescription("List warscrolls (optionally filtered by faction) (discovery)")
+      .addStringOption((o) =>
+        o
+          .setName("faction")
+          .setDescription("Faction name (optional)")
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("search")
+          .setDescription("Filter warscrolls by name (optional)")
+          .setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("refresh")
+      .setDescription("Admin: refresh cached CSV data")
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+    new SlashCommandBuilder()
+      .setName("alias")
+      .setDescription("Admin: manage faction and warscroll nicknames")
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+      .addSubcommand((sc) =>
+        sc
+          .setName("add")
+          .setDescription("Add or update a nickname")
+          .addStringOption((o) =>
+            o
+              .setName("type")
+              .setDescription("What the nickname is for")
+              .setRequired(true)
+              .addChoices(
+                { name: "faction", value: "factions" },
+                { name: "warscroll", value: "warscrolls" }
+              )
+          )
+          .addStringOption((o) =>
+            o.setName("alias").setDescription("Nickname, e.g. SCE").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("target")
+              .setDescription("Canonical name it should resolve to")
+              .setRequired(true)
+              .setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("remove")
+          .setDescription("Remove a nickname")
+          .addStringOption((o) =>
+            o
+              .setName("type")
+              .setDescription("What the nickname is for")
+              .setRequired(true)
+              .addChoices(
+                { name: "faction", value: "factions" },
+                { name: "warscroll", value: "warscrolls" }
+              )
+          )
+          .addStringOption((o) =>
+            o
+              .setName("alias")
+              .setDescription("Nickname to remove")
+              .setRequired(true)
+              .setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("list")
+          .setDescription("List nicknames")
+          .addStringOption((o) =>
+            o
+              .setName("type")
+              .setDescription("Only one kind (optional)")
+              .setRequired(false)
+              .addChoices(
+                { name: "faction", value: "factions" },
+                { name: "warscroll", value: "warscrolls" }
+              )
+          )
+      ),
+
+    new SlashCommandBuilder()
+      .setName("listcheck")
+      .setDescription("Paste an army list and see how each unit performs"),
+
+    new SlashCommandBuilder()
+      .setName("iam")
+      .setDescription("Link your Discord account to your league player")
+      .addStringOption((o) =>
+        o
+          .setName("player")
+          .setDescription("Your name in the league sheet (leave empty to see your link)")
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
+      .addUserOption((o) =>
+        o.setName("user").setDescription("Admin only: link someone else").setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("report")
+      .setDescription("Report a league result for an organiser to approve")
+      .addIntegerOption((o) =>
+        o.setName("round").setDescription("Round number").setRequired(true).setMinValue(1)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("opponent")
+          .setDescription("Who you played")
+          .setRequired(true)
+          .setAutocomplete(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("result")
+          .setDescription("Your result")
+          .setRequired(true)
+          .addChoices(
+            { name: "win", value: "win" },
+            { name: "draw", value: "draw" },
+            { name: "loss", value: "loss" }
+          )
+      )
+      .addBooleanOption((o) =>
+        o
+          .setName("details")
+          .setDescription("Add a score and notes in a form")
           .setRequired(false)
-          .setAutocomplete(true)
       ),
-    
-    new SlashCommandBuilder()
-  .setName("league")
-  .setDescription("Show a player's army list, fixtures, and results")
-  .addStringOption((o) =>
-    o
-      .setName("name")
-      .setDescription("Player name")
-      .setRequired(true)
-      .setAutocomplete(true)
-  ),
 
-    // -------------------- Discovery commands --------------------
     new SlashCommandBuilder()
-      .setName("factions")
-      .setDescription("List factions (discovery)")
+      .setName("pair")
+      .setDescription("Admin only: propose Swiss pairings for a league round")
       .addStringOption((o) =>
-        o
-          .setName("search")
-          .setDescription("Filter factions by name (optional)")
-          .setRequired(false)
+        o.setName("league").setDescription("League").setRequired(true).setAutocomplete(true)
+      )
+      .addIntegerOption((o) =>
+        o.setName("round").setDescription("Round to pair").setRequired(true).setMinValue(1)
       ),
 
     new SlashCommandBuilder()
-      .setName("formations")
-      .setDescription("List battle formations for a faction (discovery)")
+      .setName("leaguemeta")
+      .setDescription("League results by faction, next to the global GT win rates")
       .addStringOption((o) =>
         o
-          .setName("faction")
-          .setDescription("Faction name")
-          .setRequired(true)
+          .setName("league")
+          .setDescription("League (optional if there's only one)")
+          .setRequired(false)
           .setAutocomplete(true)
       ),
 
     new SlashCommandBuilder()
-      .setName("warscrolls")
-      .setDescription("List warscrolls (optionally filtered by faction) (discovery)")
+      .setName("round")
+      .setDescription("Every pairing in a league round, with battleplan and results")
+      .addIntegerOption((o) =>
+        o.setName("number").setDescription("Round number").setRequired(true).setMinValue(1)
+      )
       .addStringOption((o) =>
         o
-          .setName("faction")
-          .setDescription("Faction name (optional)")
+          .setName("league")
+          .setDescription("League (optional if there's only one)")
           .setRequired(false)
           .setAutocomplete(true)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("h2h")
+      .setDescription("Have two league players met? Their games and records")
+      .addStringOption((o) =>
+        o.setName("a").setDescription("First player").setRequired(true).setAutocomplete(true)
       )
+      .addStringOption((o) =>
+        o.setName("b").setDescription("Second player").setRequired(true).setAutocomplete(true)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("standings")
+      .setDescription("League table sorted by points, with tie-breakers")
       .addStringOption((o) =>
         o
-          .setName("search")
-          .setDescription("Filter warscrolls by name (optional)")
+          .setName("league")
+          .setDescription("League (optional if there's only one)")
           .setRequired(false)
+          .setAutocomplete(true)
       ),
 
-    new SlashCommandBuilder()
-      .setName("refresh")
-      .setDescription("Admin: refresh cached CSV data")
-      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+    new ContextMenuCommandBuilder()
+      .setName(LIST_CONTEXT_COMMAND)
+      .setType(ApplicationCommandType.Message),
   ].map((c) => c.toJSON());
 
   await client.application.commands.set(commands);
   console.log("✅ Global slash commands registered/updated.");
 
-  // Safe cache warm (won't crash)
-  try {
-    // Try both, but don't die if one 401s
-    if (FACTION_CSV_URL) {
-      try {
-        await loadFactions(true);
-      } catch (e) {
-        console.warn("Faction cache warm failed:", e?.message ?? e);
-      }
-    }
-    if (SHEET_CSV_URL) {
-      try {
-        await loadWarscrolls(true);
-      } catch (e) {
-        console.warn("Warscroll cache warm failed:", e?.message ?? e);
-      }
-    }
-    if (LEAGUE_PLAYERS_CSV_URL) {
+  // Safe cache warm (won't crash) — same path as /refresh and the schedule
   try {
-    await loadLeaguePlayers(true);
-  } catch (e) {
-    console.warn("League cache warm failed:", e?.message ?? e);
-  }
-    }
+    await refreshAllSoft();
     console.log("✅ Cache warm attempt complete.");
   } catch (e) {
     console.warn("Cache warm failed:", e?.message ?? e);
   }
+
+  startRefreshSchedule();
+  startLeagueReminders();
 });
 
 /* -------------------- Autocomplete Handler -------------------- */
@@ -937,21 +4515,39 @@ client.on(Events.InteractionCreate, async (interaction) => {
 
     // Soft load caches for suggestions
     if (
-      ["faction", "impact", "leastimpact", "common", "leastcommon", "factions", "formations"].includes(
-        cmd
-      )
+      [
+        "faction",
+        "impact",
+        "leastimpact",
+        "common",
+        "leastcommon",
+        "factions",
+        "formations",
+        "trend",
+        "alias",
+        "matchup",
+        "matchups",
+        "alliance",
+      ].includes(cmd)
     ) {
       try {
         await ensureFactions();
       } catch {}
     }
-    if (["warscroll", "compare", "warscrolls"].includes(cmd)) {
+    if (cmd === "compare") {
+      try {
+        await ensureFactions();
+      } catch {}
+    }
+    if (["warscroll", "compare", "warscrolls", "trend", "alias"].includes(cmd)) {
       try {
         await ensureWarscrolls();
       } catch {}
     }
 
-    if (["league"].includes(cmd)) {
+    if (
+      ["league", "standings", "leagues", "round", "h2h", "iam", "report", "pair", "leaguemeta"].includes(cmd)
+    ) {
   try {
     await ensureLeaguePlayers();
   } catch {}
@@ -969,7 +4565,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
     // /faction name + formation
     if (cmd === "faction") {
       if (focused.name === "name") {
-        const choices = makeChoices(getAllFactions(), typed);
+        const choices = makeChoices(getAllFactions(), typed, "factions");
         return safeRespond(choices);
       }
       if (focused.name === "formation") {
@@ -981,32 +4577,102 @@ client.on(Events.InteractionCreate, async (interaction) => {
     }
 
     // faction pickers
-    if (["impact", "leastimpact", "common", "leastcommon", "formations"].includes(cmd)) {
+    if (cmd === "matchup" && ["a", "b"].includes(focused.name)) {
+      return safeRespond(makeChoices(getAllFactions(), typed, "factions"));
+    }
+
+    if (["impact", "leastimpact", "common", "leastcommon", "formations", "matchups"].includes(cmd)) {
       if (focused.name === "faction") {
-        const choices = makeChoices(getAllFactions(), typed);
+        const choices = makeChoices(getAllFactions(), typed, "factions");
         return safeRespond(choices);
       }
     }
 
+    if (cmd === "alliance" && focused.name === "name") {
+      return safeRespond(makeChoices(getAlliances(), typed));
+    }
+
     // warscroll pickers
     if (cmd === "warscroll" && focused.name === "name") {
-      const choices = makeChoices(getWarscrolls(), typed);
+      const choices = makeChoices(getWarscrolls(), typed, "warscrolls");
       return safeRespond(choices);
     }
 
-    if (cmd === "compare" && (focused.name === "a" || focused.name === "b")) {
-      const choices = makeChoices(getWarscrolls(), typed);
+    if (cmd === "compare" && COMPARE_SLOTS.includes(focused.name)) {
+      const type = interaction.options.getString("type") ?? "warscroll";
+      const choices =
+        type === "faction"
+          ? makeChoices(getAllFactions(), typed, "factions")
+          : type === "formation"
+            ? makeChoices(getFormationLabels(), typed)
+            : makeChoices(getWarscrolls(), typed, "warscrolls");
       return safeRespond(choices);
     }
 
+    if (cmd === "trend") {
+      const fac = interaction.options.getString("faction") ?? "";
+      if (focused.name === "faction") {
+        return safeRespond(makeChoices(getAllFactions(), typed, "factions"));
+      }
+      if (focused.name === "formation") {
+        const forms = fac ? getFormationsForFaction(fac) : [];
+        return safeRespond(makeChoices(forms, typed));
+      }
+      if (focused.name === "warscroll") {
+        const list = getWarscrolls({ factionInput: fac || null });
+        return safeRespond(makeChoices(list, typed, "warscrolls"));
+      }
+    }
+
+    if (cmd === "alias") {
+      const kind = interaction.options.getString("type") ?? "factions";
+      if (focused.name === "target") {
+        const list = kind === "warscrolls" ? getWarscrolls() : getAllFactions();
+        return safeRespond(makeChoices(list, typed));
+      }
+      if (focused.name === "alias") {
+        return safeRespond(makeChoices(Object.keys(aliasTable[kind] ?? {}), typed));
+      }
+    }
+
     if (cmd === "warscrolls" && focused.name === "faction") {
-      const choices = makeChoices(getAllFactions(), typed);
+      const choices = makeChoices(getAllFactions(), typed, "factions");
       return safeRespond(choices);
     }
 
     if (cmd === "league" && focused.name === "name") {
-  const choices = makeChoices(getLeaguePlayers(), typed);
-  return safeRespond(choices);
+      const leagueTyped = interaction.options.getString("league");
+      const leagueName = leagueTyped ? bestMatch(leagueTyped, getLeagueNames()) : null;
+      const choices = makeChoices(getLeaguePlayers(leagueName), typed);
+      return safeRespond(choices);
+    }
+
+    // Your own league first, with the sheet's opponent for the chosen round on top
+    if (cmd === "report" && focused.name === "opponent") {
+      const mine = linkedRow(interaction.user.id);
+      const leagueName = mine ? String(lpLeague(mine) ?? "").trim() : null;
+      const round = interaction.options.getInteger("round");
+      const sheetOpp = mine && round ? String(lpRoundCol(mine, round, "Opponent") ?? "").trim() : "";
+      const players = getLeaguePlayers(leagueName).filter(
+        (p) => !mine || normLoose(p) !== normLoose(lpPlayer(mine))
+      );
+      const choices = makeChoices(players, typed);
+      if (sheetOpp && !typed) {
+        return safeRespond([{ name: sheetOpp, value: sheetOpp }, ...choices.filter((c) => c.value !== sheetOpp)]);
+      }
+      return safeRespond(choices);
+    }
+
+    if (cmd === "iam" && focused.name === "player") {
+      return safeRespond(makeChoices(getLeaguePlayers(), typed));
+    }
+
+    if (cmd === "h2h" && ["a", "b"].includes(focused.name)) {
+      return safeRespond(makeChoices(getLeaguePlayers(), typed));
+    }
+
+    if (["league", "standings", "round", "pair", "leaguemeta"].includes(cmd) && focused.name === "league") {
+      return safeRespond(makeChoices(getLeagueNames(), typed));
     }
 
     // Nothing matched
@@ -1022,24 +4688,63 @@ client.on(Events.InteractionCreate, async (interaction) => {
 client.on(Events.InteractionCreate, async (interaction) => {
   if (!interaction.isChatInputCommand()) return;
 
+  // Modal commands must answer with showModal, not a deferred reply
+  const showsModal =
+    interaction.commandName === "listcheck" ||
+    (interaction.commandName === "report" && interaction.options.getBoolean("details"));
+  if (showsModal) {
+    try {
+      if (interaction.commandName === "report") return await showReportModal(interaction);
+      return await showListCheckModal(interaction);
+    } catch (err) {
+      console.error("COMMAND ERROR:", err);
+      return;
+    }
+  }
+
   try {
     await interaction.deferReply();
   } catch {}
 
+  return runCommand(interaction);
+});
+
+// Runs one slash command. `interaction` can also be a replay built by replayInteraction()
+// (e.g. after a disambiguation pick), so stick to commandName, options, user,
+// memberPermissions and editReply in here.
+async function runCommand(interaction) {
   try {
     const cmd = interaction.commandName;
 
     if (cmd === "help") {
       const embed = makeBaseEmbed("Woehammer Stats Bot — Commands")
-        .setDescription(`(Ignoring rows with < ${MIN_GAMES} games)`)
+        .setDescription(
+          `(Ignoring rows with < ${MIN_GAMES} games)\nWin rates show a 95% range in brackets, e.g. 52.1% (48–56%).`
+        )
         .addFields(
           { name: "/warscroll name", value: "Search warscrolls (partial match)\nExample: `/warscroll name: krethusa`" },
-          { name: "/compare a b", value: "Compare two warscrolls\nExample: `/compare a: krethusa b: scourge of ghyran krethusa`" },
-          { name: "/common faction", value: "Top 10 most used warscrolls (by Used %)\nExample: `/common faction: ironjawz`" },
-          { name: "/leastcommon faction", value: "Bottom 10 least used warscrolls (by Used %)\nExample: `/leastcommon faction: stormcast`" },
-          { name: "/impact faction", value: "Top 10 warscrolls pulling UP vs the faction’s overall win rate\nExample: `/impact faction: gloomspite gitz`" },
-          { name: "/leastimpact faction", value: "Top 10 warscrolls pulling DOWN vs the faction’s overall win rate\nExample: `/leastimpact faction: gloomspite gitz`" },
+          { name: "/compare a b c? d? e? type?", value: "Compare up to five warscrolls, factions or formations, with a significance test on each pair\nExample: `/compare a: krethusa b: scourge of ghyran krethusa` or `/compare type: factions a: ironjawz b: kruleboyz`" },
+          { name: "/common faction limit?", value: "Top 10 (or `limit`) most used warscrolls (by Used %)\nExample: `/common faction: ironjawz limit: 25`" },
+          { name: "/leastcommon faction limit?", value: "Bottom 10 (or `limit`) least used warscrolls (by Used %)\nExample: `/leastcommon faction: stormcast limit: 25`" },
+          { name: "/impact faction ranking? limit?", value: "Top 10 (or `limit`) warscrolls pulling UP vs the faction’s overall win rate (`ranking: adjusted` discounts small samples)\nExample: `/impact faction: gloomspite gitz ranking: adjusted`" },
+          { name: "/leastimpact faction ranking? limit?", value: "Top 10 (or `limit`) warscrolls pulling DOWN vs the faction’s overall win rate (`ranking: adjusted` discounts small samples)\nExample: `/leastimpact faction: gloomspite gitz ranking: adjusted`" },
           { name: "/faction name formation?", value: "Faction stats (Overall or a specific battle formation)\nExample: `/faction name: blades of khorne formation: the goretide`" },
+          { name: "/formations faction detail?", value: "List a faction's battle formations; `detail: true` shows a win-rate leaderboard\nExample: `/formations faction: blades of khorne detail: true`" },
+          { name: "/matchup a b · /matchups faction limit?", value: "Win rate of one faction against another, or a faction's best and worst matchups\nExample: `/matchup a: ironjawz b: kruleboyz`" },
+          { name: "/meta sort? min_games? type?", value: "Tier list of every faction (or `type: battle formations`); `sort` ranks the whole list by another stat, tagging each row with its tier\nExample: `/meta sort: games min_games: 50`" },
+          { name: "/alliance name?", value: "Order vs Chaos vs Death vs Destruction, or one alliance's factions ranked\nExample: `/alliance name: destruction`" },
+          { name: "/trend faction formation? | warscroll metric?", value: "How stats moved across saved snapshots\nExample: `/trend faction: ironjawz metric: win` or `/trend warscroll: krethusa`" },
+          { name: "/league name? league?", value: "A player's army list, fixtures and results (no name = your own)\nExample: `/league name: alice league: spring`" },
+          { name: "/iam player", value: "Link your Discord account to your league player\nExample: `/iam player: alice`" },
+          { name: "/leagues", value: "List leagues with player counts and rounds played" },
+          { name: "/report round opponent result details?", value: "Report a league result; your opponent confirms and an organiser approves\nExample: `/report round: 2 opponent: bob result: win`" },
+          { name: "/leaguemeta league?", value: "League W/D/L and points per faction (detected from lists) vs the GT win rate\nExample: `/leaguemeta league: spring`" },
+          { name: "/pair league round", value: "Admin only: Swiss pairings preview for the next round, confirmed as a CSV\nExample: `/pair league: spring round: 3`" },
+          { name: "/round number league?", value: "Every pairing in a round with its battleplan (and result, if the sheet has `Rnd N Result` columns)\nExample: `/round number: 2 league: spring`" },
+          { name: "/h2h a b", value: "Whether and when two league players met, plus their records (per-game results need `Rnd N Result` columns)\nExample: `/h2h a: alice b: bob`" },
+          { name: "/standings league?", value: "League table by points (ties: wins, head-to-head, fewest losses)\nExample: `/standings league: spring`" },
+          { name: "/listcheck", value: "Paste an army list; shows each unit's Used %, Win % and lift vs the faction\nOr right-click a posted list → Apps → **Analyse this list**" },
+          { name: "/alias add|remove|list", value: "Admin only: manage nicknames like SCE or FEC\nExample: `/alias add type: faction alias: sce target: Stormcast Eternals`" },
           { name: "/refresh", value: "Admin only: refresh cached CSV data (won’t crash on Google 401s)" }
         );
 
@@ -1056,39 +4761,254 @@ client.on(Events.InteractionCreate, async (interaction) => {
         return interaction.editReply({ embeds: [embed] });
       }
 
-      const { warscrollOk, factionOk, leagueOk } = await refreshAllSoft();
+      const { warscrollOk, factionOk, leagueOk, battleplanOk, matchupOk } = await refreshAllSoft();
 
-      const lines = [];
-      if (warscrollOk !== null) {
-        lines.push(
-          `Warscrolls: ${warscrollOk ? "✅ refreshed" : "⚠️ refresh failed (using cached)"}`
+      const lines = [
+        refreshStatusLine("Warscrolls", "warscrolls", warscrollOk, "SHEET_CSV_URL"),
+        refreshStatusLine("Factions", "factions", factionOk, "FACTION_CSV_URL"),
+        refreshStatusLine("League", "league-players", leagueOk, "LEAGUE_PLAYERS_CSV_URL"),
+        refreshStatusLine("Battleplans", "league-battleplans", battleplanOk, "LEAGUE_BATTLEPLANS_CSV_URL"),
+        refreshStatusLine("Matchups", "matchups", matchupOk, "MATCHUP_CSV_URL"),
+      ];
+
+      const embed = makeBaseEmbed("🔄 Refresh results").setDescription(lines.join("\n"));
+      addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    if (cmd === "alias") {
+      if (!isAdmin(interaction)) {
+        const embed = makeBaseEmbed("❌ Admin only").setDescription(
+          "You need Administrator permission to run `/alias`."
         );
-      } else {
-        lines.push("Warscrolls: — (SHEET_CSV_URL not set)");
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
       }
 
-      if (factionOk !== null) {
-        lines.push(
-          `Factions: ${factionOk ? "✅ refreshed" : "⚠️ refresh failed (using cached)"}`
+      const sub = interaction.options.getSubcommand();
+      const kind = interaction.options.getString("type");
+      const kindLabel = (k) => (k === "warscrolls" ? "Warscroll" : "Faction");
+
+      if (sub === "add") {
+        const alias = aliasKey(interaction.options.getString("alias"));
+        const targetInput = interaction.options.getString("target");
+
+        if (!alias) {
+          const embed = makeBaseEmbed("❌ Invalid alias").setDescription(
+            "Aliases need at least one letter or number."
+          );
+          addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        // Snap the target onto a real name when we have data to check against
+        try {
+          if (kind === "warscrolls") await ensureWarscrolls();
+          else await ensureFactions();
+        } catch {}
+        const known = kind === "warscrolls" ? getWarscrolls() : getAllFactions();
+        const target = known.length ? bestMatch(targetInput, known) : targetInput.trim();
+
+        if (!target) {
+          const embed = makeBaseEmbed("❌ Unknown target").setDescription(
+            `No ${kindLabel(kind).toLowerCase()} matches "${targetInput}".`
+          );
+          addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        aliasTable[kind][alias] = target;
+        await saveAliases();
+
+        const embed = makeBaseEmbed("✅ Alias saved").setDescription(
+          `${kindLabel(kind)} alias **${alias}** → **${target}**`
         );
-      } else {
-        lines.push("Factions: — (FACTION_CSV_URL not set)");
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      if (sub === "remove") {
+        const alias = aliasKey(interaction.options.getString("alias"));
+        const target = aliasTable[kind]?.[alias];
+
+        if (!target) {
+          const embed = makeBaseEmbed("No such alias").setDescription(
+            `There is no ${kindLabel(kind).toLowerCase()} alias "${alias}".`
+          );
+          addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        delete aliasTable[kind][alias];
+        await saveAliases();
+
+        const embed = makeBaseEmbed("✅ Alias removed").setDescription(
+          `${kindLabel(kind)} alias **${alias}** (→ ${target}) removed.`
+        );
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      // list: one line per target, nicknames grouped
+      const embed = makeBaseEmbed("Aliases");
+      for (const k of kind ? [kind] : ALIAS_KINDS) {
+        const byTarget = new Map();
+        for (const [alias, target] of Object.entries(aliasTable[k] ?? {})) {
+          if (!byTarget.has(target)) byTarget.set(target, []);
+          byTarget.get(target).push(alias);
+        }
+
+        const lines = [...byTarget.entries()]
+          .sort((a, b) => a[0].localeCompare(b[0]))
+          .map(([target, aliases]) => `**${target}** ← ${aliases.sort().join(", ")}`);
+
+        if (!lines.length) {
+          embed.addFields({ name: `${kindLabel(k)} aliases`, value: "None." });
+          continue;
+        }
+
+        chunkByLines(lines, 1024).forEach((chunk, idx) => {
+          embed.addFields({
+            name: idx === 0 ? `${kindLabel(k)} aliases` : `${kindLabel(k)} aliases (cont.)`,
+            value: chunk,
+          });
+        });
       }
 
-      const embed = makeBaseEmbed("🔄 Refresh results").setDescription(lines.join("\n"));
       addCachedLine(embed, warscrollCachedAt, factionCachedAt);
       return interaction.editReply({ embeds: [embed] });
     }
 
     // Ensure caches as needed (soft-fail if possible)
     if (
-      ["warscroll", "compare", "common", "leastcommon", "impact", "leastimpact"].includes(cmd)
+      ["warscroll", "common", "leastcommon", "impact", "leastimpact"].includes(cmd)
     ) {
       await ensureWarscrolls();
     }
     if (["faction", "impact", "leastimpact"].includes(cmd)) {
       await ensureFactions();
     }
+    if (cmd === "trend") {
+      // Only used to tidy up typed names; /trend itself reads the history archive
+      try {
+        await ensureFactions();
+      } catch {}
+      try {
+        await ensureWarscrolls();
+      } catch {}
+    }
+    if (cmd === "matchup" || cmd === "matchups") {
+      if (!MATCHUP_CSV_URL) {
+        const embed = makeBaseEmbed("Matchups").setDescription(
+          "Matchup data isn't configured (MATCHUP_CSV_URL not set)."
+        );
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      await ensureFactions();
+      await ensureMatchups();
+
+      // Pick from the faction CSV names, then find each one in the matchup CSV
+      const picked = [];
+      for (const optionName of cmd === "matchup" ? ["a", "b"] : ["faction"]) {
+        const input = interaction.options.getString(optionName);
+        const pick = await resolveOrPick(interaction, {
+          input,
+          list: getAllFactions(),
+          optionName,
+          label: "faction",
+          aliasKind: "factions",
+        });
+        if (pick.picking) return;
+
+        const name = matchupFactionName(pick.value ?? input);
+        if (!name) {
+          const embed = makeBaseEmbed("No results").setDescription(
+            `No matchup data for "${pick.value ?? input}".`
+          );
+          addMatchupCachedLine(embed);
+          return interaction.editReply({ embeds: [embed] });
+        }
+        picked.push(name);
+      }
+
+      if (cmd === "matchup") {
+        const [a, b] = picked;
+        const st = matchupStats(a, b);
+
+        if (!st || !st.games) {
+          const embed = makeBaseEmbed(`${a} vs ${b}`).setDescription(
+            "No recorded games between these two factions."
+          );
+          addMatchupCachedLine(embed);
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        const overall = (name) => {
+          const row = findFactionOverallRowByInput(name);
+          return row ? fmtPct(factionWinPct(row), 1) : "—";
+        };
+
+        const embed = makeBaseEmbed(`${a} vs ${b}`)
+          .setDescription(
+            [
+              `**${a}** win ${fmtPctCI(st.winPct, st.games, 1)} over **${st.games}** games`,
+              `${st.wins}W ${st.draws}D ${st.losses}L from ${a}'s side`,
+              st.games < MIN_GAMES ? `⚠️ Fewer than ${MIN_GAMES} games — treat this as noise.` : null,
+            ]
+              .filter(Boolean)
+              .join("\n")
+          )
+          .addFields(
+            { name: `${a} overall`, value: overall(a), inline: true },
+            { name: `${b} overall`, value: overall(b), inline: true }
+          );
+        addMatchupCachedLine(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const [faction] = picked;
+      const limit = interaction.options.getInteger("limit") ?? 5;
+      const opponents = getMatchupFactions().filter((x) => norm(x) !== norm(faction));
+      const all = opponents
+        .map((opp) => ({ opp, st: matchupStats(faction, opp) }))
+        .filter((x) => x.st && x.st.games > 0);
+      const solid = all.filter((x) => x.st.games >= MIN_GAMES);
+
+      if (!solid.length) {
+        const embed = makeBaseEmbed(`Matchups — ${faction}`).setDescription(
+          `No matchups with ≥ ${MIN_GAMES} games yet.`
+        );
+        addMatchupCachedLine(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const byWin = solid.slice().sort((x, y) => y.st.winPct - x.st.winPct || y.st.games - x.st.games);
+      // Short lists split in two rather than repeating the same opponents in both fields
+      const best = byWin.slice(0, Math.min(limit, Math.ceil(byWin.length / 2)));
+      const worst = byWin.slice(best.length).reverse().slice(0, limit);
+      const totalGames = all.reduce((acc, x) => acc + x.st.games, 0);
+
+      const embed = makeBaseEmbed(`Matchups — ${faction}`)
+        .setDescription(
+          `${solid.length} opponent(s) with ≥ ${MIN_GAMES} games (${totalGames} games in total)` +
+            (all.length > solid.length ? `; ${all.length - solid.length} smaller sample(s) left out.` : ".")
+        )
+        .addFields({
+          name: "Best matchups",
+          value: chunkByLines(best.map((x) => matchupLine(x.opp, x.st)), 1024, "\n")[0],
+        });
+      if (worst.length) {
+        embed.addFields({
+          name: "Worst matchups",
+          value: chunkByLines(worst.map((x) => matchupLine(x.opp, x.st)), 1024, "\n")[0],
+        });
+      }
+      addMatchupCachedLine(embed);
+      return interaction.editReply({ embeds: [embed] });
+    }
+
 if (cmd === "factions") {
       await ensureFactions();
 
@@ -1104,19 +5024,26 @@ if (cmd === "factions") {
         return interaction.editReply({ embeds: [embed] });
       }
 
-      const embed = makeBaseEmbed("Factions (discovery)").setDescription(
-        filtered.slice(0, 50).map((x) => `• ${x}`).join("\n") +
-          (filtered.length > 50 ? `\n\n…and ${filtered.length - 50} more.` : "")
-      );
-
-      addCachedLine(embed, warscrollCachedAt, factionCachedAt);
-      return interaction.editReply({ embeds: [embed] });
+      return replyPaginated(interaction, {
+        title: "Factions (discovery)",
+        lines: filtered.map((x) => `• ${x}`),
+        perPage: 25,
+      });
     }
 
     if (cmd === "formations") {
       await ensureFactions();
 
-      const facInput = interaction.options.getString("faction");
+      const facPick = await resolveOrPick(interaction, {
+        input: interaction.options.getString("faction"),
+        list: getAllFactions(),
+        optionName: "faction",
+        label: "faction",
+        aliasKind: "factions",
+      });
+      if (facPick.picking) return;
+
+      const facInput = facPick.value ?? interaction.options.getString("faction");
       const forms = getFormationsForFaction(facInput);
 
       if (!forms.length) {
@@ -1127,21 +5054,80 @@ if (cmd === "factions") {
         return interaction.editReply({ embeds: [embed] });
       }
 
-      const embed = makeBaseEmbed(`Formations — ${facInput}`).setDescription(
-        forms.slice(0, 50).map((x) => `• ${x}`).join("\n") +
-          (forms.length > 50 ? `\n\n…and ${forms.length - 50} more.` : "")
-      );
+      if (!interaction.options.getBoolean("detail")) {
+        return replyPaginated(interaction, {
+          title: `Formations — ${facInput}`,
+          lines: forms.map((x) => `• ${x}`),
+          perPage: 25,
+        });
+      }
 
-      addCachedLine(embed, warscrollCachedAt, factionCachedAt);
-      return interaction.editReply({ embeds: [embed] });
+      // Leaderboard: every formation row side by side, best win rate first
+      const rows = getFactionRows(facInput);
+      const overall = rows.find((r) => norm(formationName(r)) === "overall") ?? null;
+      const baseWin = overall ? factionWinPct(overall) : NaN;
+
+      const formationRows = rows
+        .filter((r) => r !== overall)
+        .sort((a, b) => (factionWinPct(b) || -Infinity) - (factionWinPct(a) || -Infinity));
+
+      const lines = formationRows.map((r, i) => {
+        const games = factionGames(r);
+        const win = factionWinPct(r);
+        // NaN (shown as "—") only when neither column is present
+        const finishes = [
+          perf(r, "Players Achieving 5 Wins"),
+          perf(r, "Players Achieving 4 wins"),
+        ].filter(Number.isFinite);
+        const topFinish = finishes.length ? finishes.reduce((a, b) => a + b, 0) : NaN;
+        const vsOverall = Number.isFinite(baseWin)
+          ? ` (${fmtPP(win - baseWin)} vs Overall${
+              overlapsBaseline(win, games, baseWin) ? " · *not significant*" : ""
+            })`
+          : "";
+
+        return [
+          `${i + 1}. **${formationName(r) || "Unknown"}**`,
+          `Win: **${fmtPct(win, 1)}** ${fmtCI(win, games)}${vsOverall}`,
+          `Games: ${fmtInt(games)} (${fmtPct(factionGamesShare(r), 1)} share) | Elo: ${fmt1(
+            factionAvgElo(r)
+          )} avg / ${fmt1(factionMedianElo(r))} median | 4–1 or better: ${fmtPct(topFinish, 1)}`,
+        ].join("\n");
+      });
+
+      const intro = overall
+        ? `Overall: **${fmtPct(baseWin, 1)}** ${fmtCI(baseWin, factionGames(overall))} over ${fmtInt(
+            factionGames(overall)
+          )} games. Formations sorted by win rate.`
+        : "No Overall row for this faction, so no baseline to compare against.";
+
+      return replyPaginated(interaction, {
+        title: `Formation leaderboard — ${factionName(rows[0]) || facInput}`,
+        intro,
+        lines: lines.length ? lines : ["No formation rows (only Overall)."],
+        perPage: 8,
+        separator: "\n\n",
+      });
     }
 
     if (cmd === "warscrolls") {
       await ensureWarscrolls();
 
-      const facInput = interaction.options.getString("faction");
       const search = interaction.options.getString("search") ?? "";
 
+      let facInput = interaction.options.getString("faction");
+      if (facInput) {
+        const facPick = await resolveOrPick(interaction, {
+          input: facInput,
+          list: getWarscrollFactions(),
+          optionName: "faction",
+          label: "faction",
+          aliasKind: "factions",
+        });
+        if (facPick.picking) return;
+        if (facPick.value) facInput = facPick.value;
+      }
+
       const list = getWarscrolls({ factionInput: facInput ?? null });
       const filtered = search ? list.filter((x) => startsOrIncludes(x, search)) : list;
 
@@ -1155,23 +5141,24 @@ if (cmd === "factions") {
         return interaction.editReply({ embeds: [embed] });
       }
 
-      const title = facInput ? `Warscrolls — ${facInput}` : "Warscrolls (all)";
-      const embed = makeBaseEmbed(title).setDescription(
-        filtered.slice(0, 50).map((x) => `• ${x}`).join("\n") +
-          (filtered.length > 50 ? `\n\n…and ${filtered.length - 50} more.` : "")
-      );
-
-      addCachedLine(embed, warscrollCachedAt, factionCachedAt);
-      return interaction.editReply({ embeds: [embed] });
-        }
+      return replyPaginated(interaction, {
+        title: facInput ? `Warscrolls — ${facInput}` : "Warscrolls (all)",
+        lines: filtered.map((x) => `• ${x}`),
+        perPage: 25,
+      });
+    }
     
     if (cmd === "warscroll") {
-      const q = norm(interaction.options.getString("name"));
+      const q = withAlias("warscrolls", interaction.options.getString("name"));
 
+      // Best matches first (exact > prefix > word > typo)
       const matches = warscrollCache
         .filter((r) => warscrollGames(r) >= MIN_GAMES)
-        .filter((r) => norm(warscrollName(r)).includes(q))
-        .slice(0, 10);
+        .map((r) => ({ r, score: matchScore(q, warscrollName(r)) }))
+        .filter((x) => x.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 10)
+        .map((x) => x.r);
 
       if (!matches.length) {
         const embed = makeBaseEmbed("No results").setDescription(
@@ -1196,7 +5183,7 @@ if (cmd === "factions") {
 
   return [
     `${i + 1}. **${name}**`,
-    `Used: ${fmtPct(used, 0)} | Games: ${fmtInt(games)} | ${fmtWinPair(win, winWo, 0)} | Impact: ${fmtPP(impact)}`,
+    `Used: ${fmtPct(used, 0)} | Games: ${fmtInt(games)} | ${fmtWinPair(win, winWo, 0, games)} | Impact: ${fmtPP(impact)}`,
   ].join("\n");
 });
 
@@ -1206,48 +5193,61 @@ if (cmd === "factions") {
     }
 
     if (cmd === "compare") {
-      const aQ = norm(interaction.options.getString("a"));
-      const bQ = norm(interaction.options.getString("b"));
-
-      const pool = warscrollCache.filter((r) => warscrollGames(r) >= MIN_GAMES);
-
-      const aMatches = pool.filter((r) => norm(warscrollName(r)).includes(aQ));
-      const bMatches = pool.filter((r) => norm(warscrollName(r)).includes(bQ));
+      const typeKey = interaction.options.getString("type") ?? "warscroll";
+      const type = COMPARE_TYPES[typeKey] ?? COMPARE_TYPES.warscroll;
+
+      if (typeKey === "warscroll") await ensureWarscrolls();
+      else await ensureFactions();
+
+      const names = type.list();
+      const items = [];
+      const missing = [];
+
+      for (const slot of COMPARE_SLOTS) {
+        const input = interaction.options.getString(slot);
+        if (!input) continue;
+
+        const picked = await resolveOrPick(interaction, {
+          input,
+          list: names,
+          optionName: slot,
+          label: type.label,
+          aliasKind: type.aliasKind,
+        });
+        if (picked.picking) return;
+
+        const item = picked.value ? compareItem(typeKey, picked.value) : null;
+        if (item) items.push({ slot, ...item });
+        else missing.push(`No matches for ${slot.toUpperCase()}: "${input}"`);
+      }
 
-      if (!aMatches.length || !bMatches.length) {
+      if (missing.length || items.length < 2) {
         const embed = makeBaseEmbed("Compare — not enough matches").setDescription(
-          [
-            !aMatches.length ? `No matches for A: "${interaction.options.getString("a")}"` : null,
-            !bMatches.length ? `No matches for B: "${interaction.options.getString("b")}"` : null,
-          ].filter(Boolean).join("\n")
+          missing.length ? missing.join("\n") : "Give at least two things to compare."
         );
         addCachedLine(embed, warscrollCachedAt, factionCachedAt);
         return interaction.editReply({ embeds: [embed] });
       }
 
-      const a = aMatches[0];
-      const b = bMatches[0];
-
-      function wsBlock(r) {
-        const name = warscrollName(r) || "Unknown";
-        const fac = warscrollFaction(r);
-        return [
-          `**${name}**`,
-          fac ? `Faction: ${fac}` : null,
-          `Used: ${fmtPct(warscrollUsedPct(r), 0)} | Games: ${fmtInt(
-            warscrollGames(r)
-          )} | Win: ${fmtPct(warscrollWinPct(r), 0)} | Impact: ${fmtPP(
-            warscrollImpactPP(r)
-          )}`,
-        ]
-          .filter(Boolean)
-          .join("\n");
+      const embed = makeBaseEmbed(`${type.label[0].toUpperCase()}${type.label.slice(1)} compare`)
+        .setDescription(compareTable(items))
+        .addFields({
+          name: "Details",
+          value: items.map((x) => `**${x.slot.toUpperCase()}** ${x.name} — ${x.detail}`).join("\n"),
+        });
+
+      const pairLines = comparePairLines(items);
+      if (pairLines.length > 1) {
+        pairLines.push(
+          `*${pairLines.length} comparisons: with this many, expect the odd p just under 0.05 by chance.*`
+        );
       }
-
-      const embed = makeBaseEmbed("Warscroll compare").addFields(
-        { name: "A", value: wsBlock(a), inline: false },
-        { name: "B", value: wsBlock(b), inline: false }
-      );
+      chunkByLines(pairLines, 1024).forEach((chunk, idx) => {
+        embed.addFields({
+          name: idx === 0 ? "Is the difference real?" : "Is the difference real? (cont.)",
+          value: chunk,
+        });
+      });
 
       addCachedLine(embed, warscrollCachedAt, factionCachedAt);
       return interaction.editReply({ embeds: [embed] });
@@ -1255,11 +5255,21 @@ if (cmd === "factions") {
 
     if (cmd === "common" || cmd === "leastcommon") {
       const facInput = interaction.options.getString("faction");
-      const facQ = norm(facInput);
 
-      let rows = warscrollCache
-        .filter((r) => warscrollGames(r) >= MIN_GAMES)
-        .filter((r) => norm(warscrollFaction(r)).includes(facQ));
+      const facPick = await resolveOrPick(interaction, {
+        input: facInput,
+        list: getWarscrollFactions(),
+        optionName: "faction",
+        label: "faction",
+        aliasKind: "factions",
+      });
+      if (facPick.picking) return;
+
+      let rows = facPick.value
+        ? warscrollCache
+            .filter((r) => warscrollGames(r) >= MIN_GAMES)
+            .filter((r) => norm(warscrollFaction(r)) === norm(facPick.value))
+        : [];
 
       if (!rows.length) {
         const embed = makeBaseEmbed("No results").setDescription(
@@ -1269,75 +5279,54 @@ if (cmd === "factions") {
         return interaction.editReply({ embeds: [embed] });
       }
 
-      const prettyFaction = facInput;
-
-      if (cmd === "common") {
-        rows = rows
-          .slice()
-          .sort(
-            (a, b) =>
-              (warscrollUsedPct(b) || -Infinity) - (warscrollUsedPct(a) || -Infinity)
-          )
-          .slice(0, 10);
-
-        const embed = makeBaseEmbed(`Top 10 most common warscrolls — ${prettyFaction}`)
-          .setDescription("Most common = highest Used %");
-
-        const lines = rows.map((r, i) => {
-  const win = warscrollWinPct(r);
-  const winWo = warscrollWinWithoutPct(r);
-
-  return [
-    `${i + 1}. **${warscrollName(r) || "Unknown"}**`,
-    `Used: ${fmtPct(warscrollUsedPct(r), 0)} | Games: ${fmtInt(warscrollGames(r))} | ${fmtWinPair(win, winWo, 0)}`,
-  ].join("\n");
-});
-
-        embed.addFields({ name: "Results", value: lines.join("\n\n") });
-        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
-        return interaction.editReply({ embeds: [embed] });
-      }
+      const prettyFaction = facPick.value;
+      const limit = interaction.options.getInteger("limit") ?? 10;
 
-      // leastcommon
       rows = rows
         .slice()
-        .sort(
-          (a, b) =>
-            (warscrollUsedPct(a) || Infinity) - (warscrollUsedPct(b) || Infinity)
-        )
-        .slice(0, 10);
-
-      const embed = makeBaseEmbed(`Bottom 10 least common warscrolls — ${prettyFaction}`)
-        .setDescription("Least common = lowest Used %");
-
-      const lines = rows.map((r, i) => {
-  const win = warscrollWinPct(r);
-  const winWo = warscrollWinWithoutPct(r);
-
-  return [
-    `${i + 1}. **${warscrollName(r) || "Unknown"}**`,
-    `Used: ${fmtPct(warscrollUsedPct(r), 0)} | Games: ${fmtInt(warscrollGames(r))} | ${fmtWinPair(win, winWo, 0)}`,
-  ].join("\n");
-});
+        .sort((a, b) =>
+          cmd === "common"
+            ? (warscrollUsedPct(b) || -Infinity) - (warscrollUsedPct(a) || -Infinity)
+            : (warscrollUsedPct(a) || Infinity) - (warscrollUsedPct(b) || Infinity)
+        )
+        .slice(0, limit);
 
-    const resultsText = lines.join("\n\n");
-const chunks = chunkText(resultsText, 1024);
+      const lines = rows.map((r, i) => {
+        const win = warscrollWinPct(r);
+        const winWo = warscrollWinWithoutPct(r);
 
-chunks.forEach((chunk, idx) => {
-  embed.addFields({
-    name: idx === 0 ? "Results" : "Results (cont.)",
-    value: chunk,
-  });
-});
-      addCachedLine(embed, warscrollCachedAt, factionCachedAt);
-      return interaction.editReply({ embeds: [embed] });
+        return [
+          `${i + 1}. **${warscrollName(r) || "Unknown"}**`,
+          `Used: ${fmtPct(warscrollUsedPct(r), 0)} | Games: ${fmtInt(warscrollGames(r))} | ${fmtWinPair(win, winWo, 0, warscrollGames(r))}`,
+        ].join("\n");
+      });
+
+      return replyPaginated(interaction, {
+        title:
+          cmd === "common"
+            ? `Top ${rows.length} most common warscrolls — ${prettyFaction}`
+            : `Bottom ${rows.length} least common warscrolls — ${prettyFaction}`,
+        intro: cmd === "common" ? "Most common = highest Used %" : "Least common = lowest Used %",
+        lines,
+        perPage: 10,
+        separator: "\n\n",
+      });
     }
 
     if (cmd === "impact" || cmd === "leastimpact") {
       const facInput = interaction.options.getString("faction");
 
+      const facPick = await resolveOrPick(interaction, {
+        input: facInput,
+        list: getAllFactions(),
+        optionName: "faction",
+        label: "faction",
+        aliasKind: "factions",
+      });
+      if (facPick.picking) return;
+
       // Need faction overall win rate as baseline
-      const factionOverallRow = findFactionOverallRowByInput(facInput);
+      const factionOverallRow = facPick.value ? findFactionOverallRowByInput(facPick.value) : null;
       if (!factionOverallRow) {
         const embed = makeBaseEmbed("No results").setDescription(
           `No faction "Overall" row found for "${facInput}" (≥ ${MIN_GAMES} games).`
@@ -1374,13 +5363,17 @@ chunks.forEach((chunk, idx) => {
         return interaction.editReply({ embeds: [embed] });
       }
 
-      // Compute lift
+      const adjusted = interaction.options.getString("ranking") === "adjusted";
+      const priorGames = adjusted ? estimatePriorGames(rows, baseWin) : 0;
+
+      // Compute lift (rankLift is what we sort on: raw, or shrunk toward the baseline)
       const enriched = rows
         .map((r) => {
           const lift = warscrollLiftVsFaction(r, baseWin);
-          return { r, lift };
+          const adjLift = adjusted ? shrunkWinPct(r, baseWin, priorGames) - baseWin : NaN;
+          return { r, lift, adjLift, rankLift: adjusted ? adjLift : lift };
         })
-        .filter((x) => Number.isFinite(x.lift));
+        .filter((x) => Number.isFinite(x.rankLift));
 
       if (!enriched.length) {
         const embed = makeBaseEmbed("No results").setDescription(
@@ -1393,16 +5386,17 @@ chunks.forEach((chunk, idx) => {
       let filtered = enriched;
 
 if (cmd === "impact") {
-  filtered = enriched.filter(x => x.lift > 0);
-  filtered.sort((a, b) => b.lift - a.lift);
+  filtered = enriched.filter(x => x.rankLift > 0);
+  filtered.sort((a, b) => b.rankLift - a.rankLift);
 } else {
-  filtered = enriched.filter(x => x.lift < 0);
-  filtered.sort((a, b) => a.lift - b.lift);
+  filtered = enriched.filter(x => x.rankLift < 0);
+  filtered.sort((a, b) => a.rankLift - b.rankLift);
 }
 
-const top10 = filtered.slice(0, 10);
+const limit = interaction.options.getInteger("limit") ?? 10;
+const top = filtered.slice(0, limit);
 
-if (!top10.length) {
+if (!top.length) {
   const embed = makeBaseEmbed("No results").setDescription(
     cmd === "impact"
       ? `No warscrolls are above ${baseName}'s overall win rate right now.`
@@ -1414,58 +5408,367 @@ if (!top10.length) {
 
       const title =
         cmd === "impact"
-          ? `Top 10 warscrolls pulling UP — ${baseName}`
-          : `Top 10 warscrolls pulling DOWN — ${baseName}`;
+          ? `Top ${top.length} warscrolls pulling UP — ${baseName}`
+          : `Top ${top.length} warscrolls pulling DOWN — ${baseName}`;
 
       const desc =
         cmd === "impact"
           ? `Baseline (faction overall win rate): **${fmtPct(baseWin, 1)}**.\nListed warscrolls have a **higher** win rate than this baseline.`
           : `Baseline (faction overall win rate): **${fmtPct(baseWin, 1)}**.\nListed warscrolls have a **lower** win rate than this baseline.`;
+      const ciNote =
+        "Brackets show the 95% range for each win rate; *not significant* means that range still includes the baseline.";
 
-      const embed = makeBaseEmbed(title).setDescription(desc);
+      const adjNote = adjusted
+        ? `\nRanked by **adjusted** lift: each win rate is blended with ~${fmtInt(
+            priorGames
+          )} games at the baseline, so small samples move less.`
+        : "";
 
-    const lines = top10.map(({ r, lift }, i) => {
+    const lines = top.map(({ r, lift, adjLift }, i) => {
   const name = warscrollName(r) || "Unknown";
   const wWin = warscrollWinPct(r);
   const winWo = warscrollWinWithoutPct(r);
   const used = warscrollUsedPct(r);
   const games = warscrollGames(r);
 
+  const noise = overlapsBaseline(wWin, games, baseWin) ? " · *not significant*" : "";
+  const liftTxt = adjusted
+    ? `${fmtPP(lift)} raw · **${fmtPP(adjLift)} adjusted** vs faction${noise}`
+    : `${fmtPP(lift)} vs faction${noise}`;
+
   return [
     `${i + 1}. **${name}**`,
-    `Win: **${fmtPct(wWin, 1)}** (${fmtPP(lift)} vs faction) | Win w/o: ${fmtPct(
+    `Win: **${fmtPct(wWin, 1)}** ${fmtCI(wWin, games)} (${liftTxt}) | Win w/o: ${fmtPct(
       winWo,
       1
     )} | Used: ${fmtPct(used, 0)} | Games: ${fmtInt(games)}`,
   ].join("\n");
 });
 
-const chunks = chunkByLines(lines, 1024);
-
-chunks.forEach((chunk, idx) => {
-  embed.addFields({
-    name: idx === 0 ? "Results" : "Results (cont.)",
-    value: chunk,
-  });
+return replyPaginated(interaction, {
+  title,
+  intro: `${desc}\n${ciNote}${adjNote}`,
+  lines,
+  perPage: 10,
+  separator: "\n\n",
 });
+    }
+
+    if (cmd === "meta") {
+      await ensureFactions();
+
+      const sortKey = interaction.options.getString("sort") ?? "win";
+      const sort = META_SORTS[sortKey] ?? META_SORTS.win;
+      const minGames = Math.max(interaction.options.getInteger("min_games") ?? MIN_GAMES, MIN_GAMES);
+      const formations = interaction.options.getString("type") === "formation";
+
+      const rows = metaRows({ formations, minGames });
+      if (!rows.length) {
+        const embed = makeBaseEmbed("No results").setDescription(
+          `No ${formations ? "battle formation" : "faction"} rows with ≥ ${minGames} games.`
+        );
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const totalGames = metaRows({ formations: false, minGames: 0 }).reduce(
+        (acc, r) => acc + (factionGames(r) || 0),
+        0
+      );
+
+      const sortValue = (r) => {
+        const v = sort.value(r);
+        return Number.isFinite(v) ? v : -Infinity;
+      };
+
+      const lines = [];
+      if (sort === META_SORTS.win) {
+        // Grouped under tier headings, best tier first
+        const byTier = new Map();
+        for (const r of rows) {
+          const idx = metaTierIndex(factionWinPct(r));
+          if (!byTier.has(idx)) byTier.set(idx, []);
+          byTier.get(idx).push(r);
+        }
+
+        let rank = 0;
+        for (const idx of [...byTier.keys()].sort((a, b) => a - b)) {
+          const tierRows = byTier.get(idx).sort((a, b) => sortValue(b) - sortValue(a));
+
+          lines.push(`${lines.length ? "\n" : ""}${metaTierHeading(idx)}`);
+          for (const r of tierRows) {
+            rank += 1;
+            lines.push(metaLine(r, rank, { formations, totalGames }));
+          }
+        }
+      } else {
+        // One ranking by the chosen key; the win-rate tier rides along on each row
+        rows
+          .sort((a, b) => sortValue(b) - sortValue(a))
+          .forEach((r, i) => lines.push(metaLine(r, i + 1, { formations, totalGames, showTier: true })));
+      }
+
+      return replyPaginated(interaction, {
+        title: formations ? "Meta — battle formations" : "Meta — factions",
+        intro: [
+          sort === META_SORTS.win
+            ? `Tiers by win rate. Rows with ≥ ${minGames} games.`
+            : `Sorted by **${sort.label}**; [S]–[${metaTierLabel(
+                META_TIER_CUTOFFS.length
+              )}] is the win-rate tier. Rows with ≥ ${minGames} games.`,
+          "† = 95% range still includes 50%, so the result could be noise.",
+        ].join("\n"),
+        lines,
+        perPage: 20,
+      });
+    }
+
+    if (cmd === "alliance") {
+      await ensureFactions();
+
+      const input = interaction.options.getString("name");
+      const { totals, totalGames } = allianceTotals();
+      if (!totals.length) {
+        const embed = makeBaseEmbed("No results").setDescription("No faction rows to group.");
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const winOf = (x) => (Number.isFinite(x) ? x : -Infinity);
+
+      if (!input) {
+        totals.sort((a, b) => winOf(b.win) - winOf(a.win));
+        return replyPaginated(interaction, {
+          title: "Grand alliances",
+          intro: [
+            "Win % and Elo are weighted by games across each alliance's factions (Overall rows).",
+            "† = 95% range still includes 50%, so the result could be noise.",
+          ].join("\n"),
+          lines: totals.map((t, i) => allianceLine(t, i + 1)),
+          perPage: 10,
+          decorate: (e) => addCachedLine(e, warscrollCachedAt, factionCachedAt),
+        });
+      }
+
+      const pick = await resolveOrPick(interaction, {
+        input,
+        list: totals.map((t) => t.alliance),
+        optionName: "name",
+        label: "grand alliance",
+      });
+      if (pick.picking) return;
+
+      const t = totals.find((x) => x.alliance === pick.value);
+      if (!t) {
+        const embed = makeBaseEmbed("No results").setDescription(
+          `No grand alliance matching "${input}". Try one of: ${totals
+            .map((x) => x.alliance)
+            .join(", ")}.`
+        );
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const members = t.rows
+        .slice()
+        .sort((a, b) => winOf(factionWinPct(b)) - winOf(factionWinPct(a)));
+
+      return replyPaginated(interaction, {
+        title: `${t.alliance} — grand alliance`,
+        intro: [
+          `**Win rate:** **${fmtPct(t.win, 1)}** ${fmtCI(t.win, t.games)}`.trim(),
+          `**Games:** ${fmtInt(t.games)} (*${fmtPct(t.share, 1)} share*)`,
+          `**Average Elo:** ${fmt1(t.elo)}`,
+          "",
+          "Factions ranked by win rate. † = 95% range still includes 50%.",
+        ].join("\n"),
+        lines: members.map((r, i) => metaLine(r, i + 1, { formations: false, totalGames })),
+        perPage: 15,
+        decorate: (e) => addCachedLine(e, warscrollCachedAt, factionCachedAt),
+      });
+    }
+
+    if (cmd === "trend") {
+      let facInput = interaction.options.getString("faction");
+      const formInput = interaction.options.getString("formation");
+      let wsInput = interaction.options.getString("warscroll");
+      const metricInput = interaction.options.getString("metric");
 
-addCachedLine(embed, warscrollCachedAt, factionCachedAt);
-return interaction.editReply({ embeds: [embed] });
+      if (!facInput && !wsInput) {
+        const embed = makeBaseEmbed("Nothing to trend").setDescription(
+          "Give a `faction` (optionally with a `formation`) or a `warscroll`."
+        );
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const isWarscroll = Boolean(wsInput);
+
+      // Snap typed names onto today's canonical names; anything no longer in the
+      // live data is searched in the archive as typed.
+      if (isWarscroll) {
+        const wsPick = await resolveOrPick(interaction, {
+          input: wsInput,
+          list: getWarscrolls({ factionInput: facInput || null }),
+          optionName: "warscroll",
+          label: "warscroll",
+          aliasKind: "warscrolls",
+        });
+        if (wsPick.picking) return;
+        if (wsPick.value) wsInput = wsPick.value;
+      } else {
+        const facPick = await resolveOrPick(interaction, {
+          input: facInput,
+          list: getAllFactions(),
+          optionName: "faction",
+          label: "faction",
+          aliasKind: "factions",
+        });
+        if (facPick.picking) return;
+        if (facPick.value) facInput = facPick.value;
+      }
+
+      const allowed = isWarscroll ? WARSCROLL_TREND_METRICS : FACTION_TREND_METRICS;
+      const metricKey = allowed.includes(metricInput) ? metricInput : "win";
+
+      const snapshots = await loadHistory(isWarscroll ? "warscrolls" : "factions");
+      const fq = norm(facInput);
+
+      let key;
+      if (isWarscroll) {
+        const wq = norm(wsInput);
+        key = findHistoryKey(
+          snapshots,
+          (x) => norm(x.name).includes(wq) && (!fq || norm(x.faction).includes(fq)),
+          (x) => norm(x.name) === wq
+        );
+      } else {
+        const formQ = norm(formInput);
+        key = findHistoryKey(
+          snapshots,
+          (x) =>
+            norm(x.faction).includes(fq) &&
+            (formQ ? norm(x.formation).includes(formQ) : norm(x.formation) === "overall"),
+          (x) => norm(x.faction) === fq
+        );
+      }
+
+      if (!key) {
+        const embed = makeBaseEmbed("No history").setDescription(
+          `No saved snapshots match "${wsInput || facInput}"${
+            formInput && !isWarscroll ? ` / "${formInput}"` : ""
+          } yet. History builds up each time the data refreshes.`
+        );
+        addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const series = historySeries(snapshots, key);
+      const latest = series[series.length - 1].row;
+
+      const title = isWarscroll
+        ? `Trend — ${latest.name}${latest.faction ? ` (${latest.faction})` : ""}`
+        : `Trend — ${latest.faction} — ${latest.formation}`;
+
+      const embed = makeBaseEmbed(title).setDescription(
+        series.length < 2
+          ? `Only one snapshot so far (${dateStr(
+              series[0].at
+            )}). Trends appear once the data changes.`
+          : trendSummary(series, metricKey)
+      );
+
+      const shown = series.slice(-15);
+      const lines = shown.map(({ at, row }) =>
+        isWarscroll
+          ? `**${nowStr(at)}** — Used ${fmtPct(row.used, 1)} · Win ${fmtPct(
+              row.win,
+              1
+            )} · Games ${fmtInt(row.games)}`
+          : `**${nowStr(at)}** — Win ${fmtPct(row.win, 1)} · Games ${fmtInt(
+              row.games
+            )} · Elo ${fmt1(row.elo)} · 5–0 ${fmtPct(row.p50, 1)} · 4–1 ${fmtPct(row.p41, 1)}`
+      );
+
+      chunkByLines(lines, 1024).forEach((chunk, idx) => {
+        embed.addFields({
+          name: idx === 0 ? "Snapshots" : "Snapshots (cont.)",
+          value: chunk,
+        });
+      });
+
+      if (series.length > shown.length) {
+        embed.addFields({
+          name: "Older snapshots",
+          value: `${series.length - shown.length} earlier snapshot(s) not shown.`,
+        });
+      }
+
+      addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+      return interaction.editReply({ embeds: [embed] });
     }
 
 if (cmd === "league") {
-  await ensureLeaguePlayers();
+  await ensureLeagueData();
+  // Unit win rates are a nice-to-have; the profile still works without them
+  try {
+    await ensureWarscrolls();
+  } catch {}
 
   const input = interaction.options.getString("name");
-  const q = norm(input);
+  const leagueInput = interaction.options.getString("league");
+
+  let leagueScope = null;
+  if (leagueInput) {
+    const leaguePick = await resolveOrPick(interaction, {
+      input: leagueInput,
+      list: getLeagueNames(),
+      optionName: "league",
+      label: "league",
+    });
+    if (leaguePick.picking) return;
 
-  const row = leaguePlayersCache.find(r =>
-    norm(lpPlayer(r)).includes(q)
-  );
+    leagueScope = leaguePick.value;
+    if (!leagueScope) {
+      const embed = makeBaseEmbed("No results").setDescription(
+        `No league matches "${leagueInput}". Try \`/leagues\`.`
+      );
+      leagueCachedFooter(embed);
+      return interaction.editReply({ embeds: [embed] });
+    }
+  }
+
+  let row = null;
+
+  if (!input) {
+    row = leagueRowForUser(interaction.user, leagueRows(leagueScope));
+    if (!row) {
+      const embed = makeBaseEmbed("Who are you?").setDescription(
+        "You haven't linked a league player yet. Use `/iam player: <your name>`, or pass `name`."
+      );
+      leagueCachedFooter(embed);
+      return interaction.editReply({ embeds: [embed] });
+    }
+  } else {
+    const entries = leaguePlayerEntries(leagueScope);
+    const playerPick = await resolveOrPick(interaction, {
+      input,
+      list: entries.map((e) => e.label),
+      optionName: "name",
+      label: "player",
+    });
+    if (playerPick.picking) return;
+
+    row = playerPick.value
+      ? entries.find((e) => e.label === playerPick.value)?.row ?? null
+      : null;
+  }
 
   if (!row) {
     const embed = makeBaseEmbed("No results")
-      .setDescription(`No league player found for "${input}".`);
+      .setDescription(
+        `No league player found for "${input}"${leagueScope ? ` in **${leagueScope}**` : ""}.`
+      );
     leagueCachedFooter(embed);
     return interaction.editReply({ embeds: [embed] });
   }
@@ -1479,8 +5782,12 @@ if (cmd === "league") {
 // Army list (embed fields max 1024 chars)
   const listText = String(lpList(row) ?? "").trim();
 
+  const listFields = listText ? leagueListFields(listText) : null;
+
   if (!listText) {
     embed.addFields({ name: "Army List", value: "No list submitted." });
+  } else if (listFields) {
+    embed.addFields(...listFields);
   } else {
     const listChunks = chunkText(listText, 1024);
 
@@ -1502,9 +5809,9 @@ if (cmd === "league") {
   // Fixtures + Battleplans
 const opps = lpOpponents(row);
 
-const fixtureLines = opps.map((o, i) => {
-  const bp = LEAGUE_BATTLEPLANS[i] ?? "—";
-  const oppTxt = o ? o : "—";
+const fixtureLines = Array.from({ length: leagueRoundCount(leagueName) }, (_, i) => {
+  const bp = leagueBattleplan(leagueName, i + 1);
+  const oppTxt = opps[i] ? playerWithMention(opps[i], leagueName) : "—";
   return `Round ${i + 1}: ${oppTxt} — **${bp}**`;
 });
 
@@ -1513,32 +5820,447 @@ embed.addFields({
   value: fixtureLines.length ? fixtureLines.join("\n") : "No fixtures available.",
 });
 
-  // Results
+  // Results (approved /report results count until the sheet has them)
+  const overlay = leagueResultOverlay(row);
+  const withOverlay = (x, extra) => (overlay.games ? num0(x) + extra : x);
+
   embed.addFields({
     name: "Results",
     value: [
-      `Played: **${fmtInt(lpGames(row))}**`,
-      `Won: **${fmtInt(lpW(row))}**`,
-      `Drew: **${fmtInt(lpD(row))}**`,
-      `Lost: **${fmtInt(lpL(row))}**`,
-      `Points: **${fmtInt(lpPts(row))}**`,
-    ].join("\n"),
+      `Played: **${fmtInt(withOverlay(lpGames(row), overlay.games))}**`,
+      `Won: **${fmtInt(withOverlay(lpW(row), overlay.W))}**`,
+      `Drew: **${fmtInt(withOverlay(lpD(row), overlay.D))}**`,
+      `Lost: **${fmtInt(withOverlay(lpL(row), overlay.L))}**`,
+      `Points: **${fmtInt(withOverlay(lpPts(row), overlay.pts))}**`,
+      overlay.games
+        ? `*Includes approved result(s) for round ${overlay.rounds.join(", ")} not yet in the sheet*`
+        : null,
+      ...overlay.conflicts.map(
+        (c) => `⚠️ Round ${c.round}: sheet says ${c.sheet}, approved report says ${c.reported}`
+      ),
+    ]
+      .filter(Boolean)
+      .join("\n"),
     inline: true,
   });
 
   leagueCachedFooter(embed);
-  return interaction.editReply({ embeds: [embed] });
+  return replyEmbedPages(interaction, embed);
 }
-    
+
+    if (cmd === "leagues") {
+      await ensureLeaguePlayers();
+
+      const leagues = getLeagueNames();
+      if (!leagues.length) {
+        const embed = makeBaseEmbed("No results").setDescription(
+          "The league sheet has no `League` values yet."
+        );
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const lines = leagues.map((name) => {
+        const rows = leagueRows(name).filter((r) => String(lpPlayer(r) ?? "").trim());
+        return `• **${name}** — ${rows.length} player(s) · ${leagueRoundsPlayed(rows)} round(s) played`;
+      });
+
+      return replyPaginated(interaction, {
+        title: "Leagues (discovery)",
+        lines,
+        perPage: 25,
+        decorate: (embed) => leagueCachedFooter(embed),
+      });
+    }
+
+    if (cmd === "leaguemeta") {
+      await ensureLeaguePlayers();
+      // Faction detection and GT baselines degrade gracefully without these
+      try {
+        await ensureWarscrolls();
+        await ensureFactions();
+      } catch (e) {
+        console.warn("⚠️ /leaguemeta stats load failed:", e?.message ?? e);
+      }
+
+      const leaguePick = await pickLeague(interaction, leagueRowForUser(interaction.user));
+      if (leaguePick.picking || leaguePick.replied) return;
+      const leagueName = leaguePick.value;
+
+      const totals = leagueFactionTotals(leagueName);
+      if (!totals.length) {
+        const embed = makeBaseEmbed("No results").setDescription("No league players found.");
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const winOf = (t) => (t.games ? t.W / t.games : -1);
+      totals.sort(
+        (a, b) =>
+          (a.faction ? 0 : 1) - (b.faction ? 0 : 1) || winOf(b) - winOf(a) || b.games - a.games
+      );
+
+      const detected = totals.filter((t) => t.faction).reduce((acc, t) => acc + t.players, 0);
+      const players = totals.reduce((acc, t) => acc + t.players, 0);
+      const reported = totals.reduce((acc, t) => acc + t.reported, 0);
+
+      return replyPaginated(interaction, {
+        title: `League meta${leagueName ? ` — ${leagueName}` : ""}`,
+        intro:
+          `Faction detected from ${detected}/${players} list(s). Win % is wins ÷ games, ` +
+          `as in the GT data; pp is league minus GT.` +
+          (reported ? `\nIncludes ${reported} player result(s) from approved /report entries the sheet doesn't have yet.` : ""),
+        lines: totals.map(leagueMetaLine),
+        perPage: 10,
+        separator: "\n\n",
+        decorate: (embed) => {
+          addCachedLine(embed, warscrollCachedAt, factionCachedAt);
+          return leagueCachedFooter(embed);
+        },
+      });
+    }
+
+    if (cmd === "pair") {
+      if (!isAdmin(interaction)) {
+        const embed = makeBaseEmbed("❌ Admin only").setDescription(
+          "You need Administrator permission to run `/pair`."
+        );
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      await ensureLeagueData();
+
+      const leaguePick = await pickLeague(interaction);
+      if (leaguePick.picking || leaguePick.replied) return;
+      const leagueName = leaguePick.value;
+      const round = interaction.options.getInteger("round");
+
+      const players = leagueRows(leagueName).filter((r) => String(lpPlayer(r) ?? "").trim());
+      if (players.length < 2) {
+        const embed = makeBaseEmbed("Not enough players").setDescription(
+          `${leagueName ?? "This league"} needs at least two players to pair.`
+        );
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const alreadyPaired = players.filter((r) => String(lpRoundCol(r, round, "Opponent") ?? "").trim());
+      const state = {
+        leagueName,
+        round,
+        ...swissPairings(leagueName, round),
+        userId: interaction.user.id,
+        expiresAt: Date.now() + PAIR_TTL_MS,
+      };
+      state.csv = pairingsCSV(leagueName, round, state.pairs, state.bye);
+
+      for (const [t, st] of pendingPairings) if (st.expiresAt <= Date.now()) pendingPairings.delete(t);
+      const token = crypto.randomUUID().slice(0, 8);
+      pendingPairings.set(token, state);
+
+      const embed = pairingPreviewEmbed(state);
+      if (alreadyPaired.length) {
+        embed.addFields({
+          name: "⚠️ Heads up",
+          value: `The sheet already has round ${round} opponents for ${alreadyPaired.length} player(s); pasting the CSV in will overwrite them.`,
+        });
+      }
+
+      return interaction.editReply({
+        embeds: [embed],
+        components: [
+          new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`pair:${token}:confirm`).setLabel("Confirm").setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId(`pair:${token}:cancel`).setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+          ),
+        ],
+      });
+    }
+
+    if (cmd === "report") {
+      return submitReport(interaction, {
+        round: interaction.options.getInteger("round"),
+        opponentInput: interaction.options.getString("opponent"),
+        result: interaction.options.getString("result"),
+      });
+    }
+
+    if (cmd === "iam") {
+      await ensureLeaguePlayers();
+
+      const input = interaction.options.getString("player");
+      const target = interaction.options.getUser("user") ?? interaction.user;
+      const forSelf = target.id === interaction.user.id;
+
+      if (!forSelf && !isAdmin(interaction)) {
+        const embed = makeBaseEmbed("❌ Admin only").setDescription(
+          "Only admins can link other people. Run `/iam` without `user` to link yourself."
+        );
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      if (!input) {
+        const row = linkedRow(target.id);
+        const embed = makeBaseEmbed("League link").setDescription(
+          row
+            ? `<@${target.id}> is linked to **${lpPlayer(row)}** (${lpLeague(row) || "no league"}).`
+            : playerLinks[target.id]
+              ? `<@${target.id}> is linked to **${playerLinks[target.id].player}**, who isn't in the league sheet any more.`
+              : `<@${target.id}> isn't linked to a league player yet.`
+        );
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const entries = leaguePlayerEntries();
+      const pick = await resolveOrPick(interaction, {
+        input,
+        list: entries.map((e) => e.label),
+        optionName: "player",
+        label: "player",
+      });
+      if (pick.picking) return;
+
+      const row = entries.find((e) => e.label === pick.value)?.row ?? null;
+      if (!row) {
+        const embed = makeBaseEmbed("No results").setDescription(
+          `No league player found for "${input}".`
+        );
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      // One Discord account per player; only admins can take over an existing link
+      const holder = linkedUserId(row);
+      if (holder && holder !== target.id) {
+        if (!isAdmin(interaction)) {
+          const embed = makeBaseEmbed("Already linked").setDescription(
+            `**${lpPlayer(row)}** is already linked to <@${holder}>. Ask an admin if that's wrong.`
+          );
+          leagueCachedFooter(embed);
+          return interaction.editReply({ embeds: [embed] });
+        }
+        delete playerLinks[holder];
+      }
+
+      playerLinks[target.id] = {
+        player: String(lpPlayer(row)).trim(),
+        league: String(lpLeague(row) ?? "").trim(),
+        linkedBy: interaction.user.id,
+        linkedAt: new Date().toISOString(),
+      };
+      await savePlayerLinks();
+
+      const embed = makeBaseEmbed("✅ Linked").setDescription(
+        `<@${target.id}> is now **${lpPlayer(row)}**${
+          lpLeague(row) ? ` (${lpLeague(row)})` : ""
+        }.${forSelf ? "\n`/league` with no name now shows your profile." : ""}${
+          holder && holder !== target.id ? `\nReplaced the link to <@${holder}>.` : ""
+        }`
+      );
+      leagueCachedFooter(embed);
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    if (cmd === "round") {
+      await ensureLeagueData();
+
+      const n = interaction.options.getInteger("number");
+      const leaguePick = await pickLeague(interaction, leagueRowForUser(interaction.user));
+      if (leaguePick.picking || leaguePick.replied) return;
+      const leagueName = leaguePick.value;
+
+      const { pairings, byes, mismatches } = leagueRoundPairings(leagueName, n);
+      const title = `Round ${n}${leagueName ? ` — ${leagueName}` : ""}`;
+
+      if (!pairings.length && !byes.length) {
+        const embed = makeBaseEmbed(title).setDescription(
+          `No pairings for round ${n} yet (battleplan: **${leagueBattleplan(leagueName, n)}**).`
+        );
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const lines = [
+        ...pairings.map(
+          (p) =>
+            `**${playerWithMention(lpPlayer(p.a), leagueName)}** vs **${playerWithMention(
+              p.bName,
+              leagueName
+            )}** — ${outcomeText(
+              String(lpPlayer(p.a)).trim(),
+              p.bName,
+              p.outcome
+            )}`
+        ),
+        ...byes.map((r) => `**${lpPlayer(r)}** — bye`),
+      ];
+
+      const played = pairings.filter((p) => p.outcome.code).length;
+      const intro = [
+        `Battleplan: **${leagueBattleplan(leagueName, n)}**`,
+        leagueHasResultColumns()
+          ? `${played}/${pairings.length} game(s) reported`
+          : "Per-game results need `Rnd N Result` columns in the league sheet.",
+        mismatches.length
+          ? `⚠️ **Sheet mismatches:**\n${mismatches
+              .slice(0, 10)
+              .map((m) => `• ${m}`)
+              .join("\n")}${mismatches.length > 10 ? `\n…and ${mismatches.length - 10} more` : ""}`
+          : null,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      return replyPaginated(interaction, {
+        title,
+        intro,
+        lines,
+        perPage: 20,
+        decorate: (embed) => leagueCachedFooter(embed),
+      });
+    }
+
+    if (cmd === "h2h") {
+      await ensureLeagueData();
+
+      const entries = leaguePlayerEntries();
+      const picked = [];
+      for (const optionName of ["a", "b"]) {
+        const input = interaction.options.getString(optionName);
+        const pick = await resolveOrPick(interaction, {
+          input,
+          list: entries.map((e) => e.label),
+          optionName,
+          label: "player",
+        });
+        if (pick.picking) return;
+
+        const row = entries.find((e) => e.label === pick.value)?.row ?? null;
+        if (!row) {
+          const embed = makeBaseEmbed("No results").setDescription(
+            `No league player found for "${input}".`
+          );
+          leagueCachedFooter(embed);
+          return interaction.editReply({ embeds: [embed] });
+        }
+        picked.push(row);
+      }
+
+      const [aRow, bRow] = picked;
+      const aName = String(lpPlayer(aRow)).trim();
+      const bName = String(lpPlayer(bRow)).trim();
+
+      if (aRow === bRow) {
+        const embed = makeBaseEmbed("Same player").setDescription("Pick two different players.");
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const sameLeague = norm(lpLeague(aRow)) === norm(lpLeague(bRow));
+      const meetings = sameLeague ? headToHeadMeetings(aRow, bRow) : [];
+      const leagueName = String(lpLeague(aRow) ?? "").trim() || null;
+
+      const meetingLines = meetings.map(
+        (m) =>
+          `Round ${m.round} — **${leagueBattleplan(leagueName, m.round)}** — ${outcomeText(
+            aName,
+            bName,
+            m.outcome
+          )}${m.oneSided ? " ⚠️ only one player's row lists this game" : ""}`
+      );
+
+      const tally = { W: 0, D: 0, L: 0 };
+      meetings.forEach((m) => m.outcome.code && tally[m.outcome.code]++);
+
+      const embed = makeBaseEmbed(`Head-to-head — ${aName} vs ${bName}`)
+        .setDescription(
+          !sameLeague
+            ? "They play in different leagues, so they haven't met."
+            : !meetings.length
+              ? "They haven't been drawn against each other."
+              : leagueHasResultColumns()
+                ? `${aName} **${tally.W}** – **${tally.L}** ${bName}${tally.D ? ` (${tally.D} drawn)` : ""}`
+                : `Drawn against each other ${meetings.length} time(s).`
+        )
+        .addFields(
+          { name: aName, value: leagueRecordText(aRow), inline: true },
+          { name: bName, value: leagueRecordText(bRow), inline: true }
+        );
+
+      if (meetingLines.length) {
+        embed.addFields({ name: "Meetings", value: chunkByLines(meetingLines, 1024, "\n")[0] });
+      }
+
+      leagueCachedFooter(embed);
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    if (cmd === "standings") {
+      await ensureLeaguePlayers();
+
+      const mine = leagueRowForUser(interaction.user);
+      const leaguePick = await pickLeague(interaction, mine);
+      if (leaguePick.picking || leaguePick.replied) return;
+      const leagueName = leaguePick.value;
+
+      const rows = leagueRows(leagueName).filter((r) => String(lpPlayer(r) ?? "").trim());
+      if (!rows.length) {
+        const embed = makeBaseEmbed("No results").setDescription("No league players found.");
+        leagueCachedFooter(embed);
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const standings = leagueStandings(rows);
+      const myIdx = mine ? standings.findIndex((e) => e.row === mine) : -1;
+      const perPage = 20;
+
+      const intro = [
+        leagueName ? `League: **${leagueName}**` : null,
+        LEAGUE_TIEBREAKERS.length
+          ? `Ties broken by ${LEAGUE_TIEBREAKERS.map((tb) => LEAGUE_TIEBREAKER_LABELS[tb]).join(" → ")}`
+          : null,
+        LEAGUE_TIEBREAKERS.includes("h2h") && !leagueHasResultColumns()
+          ? "⚠️ Head-to-head is skipped: the sheet has no `Rnd N Result` columns."
+          : null,
+        myIdx >= 0 ? `You: **${lpPlayer(mine)}** (${standings[myIdx].rank}${
+          standings[myIdx].shared ? ", tied" : ""
+        })` : null,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      return replyPaginated(interaction, {
+        title: leagueName ? `Standings — ${leagueName}` : "Standings",
+        intro,
+        lines: standings.map((e, i) => standingsLine(e, i === myIdx)),
+        perPage,
+        page: myIdx >= 0 ? Math.floor(myIdx / perPage) : 0,
+        decorate: (embed) => leagueCachedFooter(embed),
+      });
+    }
+
 if (cmd === "faction") {
       const inputName = interaction.options.getString("name");
-      const fQ = norm(inputName);
 
       const formationQRaw = interaction.options.getString("formation");
       const formationQ = norm(formationQRaw);
 
+      const facPick = await resolveOrPick(interaction, {
+        input: inputName,
+        list: getAllFactions(),
+        optionName: "name",
+        label: "faction",
+        aliasKind: "factions",
+      });
+      if (facPick.picking) return;
+
       const pool = factionCache.filter((r) => factionGames(r) >= MIN_GAMES);
-      const factionRows = pool.filter((r) => norm(factionName(r)).includes(fQ));
+      const factionRows = facPick.value
+        ? pool.filter((r) => norm(factionName(r)) === norm(facPick.value))
+        : [];
 
       if (!factionRows.length) {
         const embed = makeBaseEmbed("No results").setDescription(
@@ -1551,7 +6273,17 @@ if (cmd === "faction") {
       let row = null;
 
       if (formationQ) {
-        row = factionRows.find((r) => norm(formationName(r)).includes(formationQ));
+        const formPick = await resolveOrPick(interaction, {
+          input: formationQRaw,
+          list: uniq(factionRows.map((r) => String(formationName(r) ?? "").trim())),
+          optionName: "formation",
+          label: "battle formation",
+        });
+        if (formPick.picking) return;
+
+        row = formPick.value
+          ? factionRows.find((r) => String(formationName(r) ?? "").trim() === formPick.value)
+          : null;
         if (!row) {
           const formations = [
             ...new Set(factionRows.map((r) => formationName(r)).filter(Boolean)),
@@ -1595,11 +6327,13 @@ if (cmd === "faction") {
 
       embed.setDescription(
         [
+          `**Grand alliance:** ${allianceFor(fac)}`,
+          ``,
           `**Win Rate**`,
           `**Games:** ${fmtInt(games)}${
             Number.isFinite(share) ? ` (*${fmtPct(share, 1)} share*)` : ""
           }`,
-          `**Win rate:** **${fmtPct(win, 1)}**`,
+          `**Win rate:** **${fmtPct(win, 1)}** ${fmtCI(win, games)}`.trim(),
           ``,
           `**Elo**`,
           `**Average:** **${fmt1(avg)}**`,
@@ -1645,6 +6379,52 @@ if (cmd === "faction") {
       return interaction.reply({ embeds: [embed], ephemeral: true });
     }
   }
+}
+
+/* -------------------- Context Menu Handler ("Analyse this list") -------------------- */
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!interaction.isMessageContextMenuCommand()) return;
+
+  try {
+    if (interaction.commandName === LIST_CONTEXT_COMMAND) {
+      return await handleListContextMenu(interaction);
+    }
+  } catch (err) {
+    console.error("CONTEXT MENU ERROR:", err);
+  }
+});
+
+/* -------------------- Component Handler (select menus, buttons, modals) -------------------- */
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (
+    !interaction.isStringSelectMenu() &&
+    !interaction.isButton() &&
+    !interaction.isModalSubmit()
+  ) {
+    return;
+  }
+
+  try {
+    const [kind, token, action] = interaction.customId.split(":");
+    if (kind === "pick") return await handlePick(interaction, token);
+    if (kind === "page") return await handlePageButton(interaction, token, action);
+    if (kind === "pagejump") return await handlePageJump(interaction, token);
+    if (kind === "listcheck") return await handleListCheckSubmit(interaction);
+    if (kind === "report") return await handleReportButton(interaction, token, action);
+    if (kind === "reportform") return await handleReportForm(interaction, token);
+    if (kind === "pair") return await handlePairButton(interaction, token, action);
+  } catch (err) {
+    console.error("COMPONENT ERROR:", err);
+  }
 });
 
+// Restore last-known-good data before Discord connects, so commands work even if the
+// ClientReady cache warm can't reach Google.
+await restoreSnapshots();
+await loadAliases();
+await loadAlliances();
+await loadPlayerLinks();
+await loadRemindersSent();
+await loadLeagueReports();
+
 client.login(TOKEN);